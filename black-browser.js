@@ -11,15 +11,28 @@ const Logger = {
     logElement.textContent = `[${timestamp}] ${messages.join(" ")}`;
     document.body.appendChild(logElement);
   },
+  // 带 [#request_id] 标记输出，服务器据此将日志归属到对应请求
+  forRequest(requestId) {
+    return {
+      output: (...messages) =>
+        requestId ? Logger.output(`[#${requestId}]`, ...messages) : Logger.output(...messages),
+    };
+  },
 };
 
+// 由服务器在注入时替换为账号索引，用于区分池中各个上下文的 WebSocket 身份
+const CLIENT_AUTH_INDEX = null;
+
 class ConnectionManager extends EventTarget {
   // =================================================================
   // ===                 *** 请修改此行   *** ===
   constructor(endpoint = "ws://127.0.0.1:9998") {
     // =================================================================
     super();
-    this.endpoint = endpoint;
+    this.endpoint =
+      CLIENT_AUTH_INDEX === null
+        ? endpoint
+        : `${endpoint}/?auth_index=${CLIENT_AUTH_INDEX}`;
     this.socket = null;
     this.isConnected = false;
     this.reconnectDelay = 5000;
@@ -93,6 +106,7 @@ class RequestProcessor {
   }
 
   execute(requestSpec, operationId) {
+    const log = Logger.forRequest(operationId);
     const IDLE_TIMEOUT_DURATION = 600000;
     const abortController = new AbortController();
     this.activeOperations.set(operationId, abortController);
@@ -121,7 +135,7 @@ class RequestProcessor {
     const attemptPromise = new Promise(async (resolve, reject) => {
       for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
         try {
-          Logger.output(
+          log.output(
             `执行请求 (尝试 ${attempt}/${this.maxRetries}):`,
             requestSpec.method,
             requestSpec.path
@@ -158,10 +172,10 @@ class RequestProcessor {
             (isNetworkError || isRetryableServerError) &&
             attempt < this.maxRetries
           ) {
-            Logger.output(
+            log.output(
               `❌ 请求尝试 #${attempt} 失败: ${error.message.substring(0, 200)}`
             );
-            Logger.output(`将在 ${this.retryDelay / 1000}秒后重试...`);
+            log.output(`将在 ${this.retryDelay / 1000}秒后重试...`);
             await new Promise((r) => setTimeout(r, this.retryDelay));
             continue;
           } else {
@@ -183,6 +197,7 @@ class RequestProcessor {
   }
 
   _constructUrl(requestSpec) {
+    const log = Logger.forRequest(requestSpec.request_id);
     let pathSegment = requestSpec.path.startsWith("/")
       ? requestSpec.path.substring(1)
       : requestSpec.path;
@@ -191,16 +206,16 @@ class RequestProcessor {
     if (requestSpec.streaming_mode === "fake") {
       
       if (pathSegment.includes(":streamGenerateContent")) {
-        Logger.output("假流式模式激活，正在转换流式路径...");
+        log.output("假流式模式激活，正在转换流式路径...");
         pathSegment = pathSegment.replace(
           ":streamGenerateContent",
           ":generateContent"
         );
-        Logger.output(`API路径已修改为: ${pathSegment}`);
+        log.output(`API路径已修改为: ${pathSegment}`);
       }
       if (queryParams.has("alt") && queryParams.get("alt") === "sse") {
         queryParams.delete("alt");
-        Logger.output('假流式模式: 已移除 "alt=sse" 查询参数。');
+        log.output('假流式模式: 已移除 "alt=sse" 查询参数。');
       }
     }
     
@@ -211,6 +226,7 @@ class RequestProcessor {
   }
 
   _buildRequestConfig(requestSpec, signal) {
+    const log = Logger.forRequest(requestSpec.request_id);
     const config = {
       method: requestSpec.method,
       headers: this._sanitizeHeaders(requestSpec.headers),
@@ -218,6 +234,13 @@ class RequestProcessor {
     };
 
     if (
+      ["POST", "PUT", "PATCH"].includes(requestSpec.method) &&
+      requestSpec.body &&
+      requestSpec.body_encoding === "base64"
+    ) {
+      // 二进制请求体（如 Files API 上传的文件内容）还原后原样发送
+      config.body = this._decodeBase64(requestSpec.body);
+    } else if (
       ["POST", "PUT", "PATCH"].includes(requestSpec.method) &&
       requestSpec.body
     ) {
@@ -241,7 +264,7 @@ class RequestProcessor {
         
         config.body = JSON.stringify(bodyObj);
       } catch (e) {
-        Logger.output("处理请求体时发生错误:", e.message);
+        log.output("处理请求体时发生错误:", e.message);
         config.body = requestSpec.body;
       }
     }
@@ -249,6 +272,13 @@ class RequestProcessor {
     return config;
   }
 
+  _decodeBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
   _sanitizeHeaders(headers) {
     const sanitized = { ...headers };
     [
@@ -268,7 +298,7 @@ class RequestProcessor {
     this.cancelledOperations.add(operationId);
     const controller = this.activeOperations.get(operationId);
     if (controller) {
-      Logger.output(`收到取消指令，正在中止操作 #${operationId}...`);
+      Logger.forRequest(operationId).output("收到取消指令，正在中止操作...");
       controller.abort();
     }
   }
@@ -279,6 +309,8 @@ class ProxySystem extends EventTarget {
     super();
     this.connectionManager = new ConnectionManager(websocketEndpoint);
     this.requestProcessor = new RequestProcessor();
+    this.resumeOverlapWindow = 200; // 续写去重时比较的最大字符数
+    this.resumeMinOverlap = 8; // 重叠少于8个字符不去除，避免误删
     this._setupEventHandlers();
   }
 
@@ -314,7 +346,7 @@ class ProxySystem extends EventTarget {
           this.requestProcessor.cancelOperation(requestSpec.request_id);
           break;
         default:
-          Logger.output(`收到请求: ${requestSpec.method} ${requestSpec.path}`);
+          Logger.forRequest(requestSpec.request_id).output(`收到请求: ${requestSpec.method} ${requestSpec.path}`);
           await this._processProxyRequest(requestSpec);
           break;
       }
@@ -331,7 +363,7 @@ class ProxySystem extends EventTarget {
 
   async _processProxyRequest(requestSpec) {
     const operationId = requestSpec.request_id;
-    const mode = requestSpec.streaming_mode || "fake";
+    const log = Logger.forRequest(operationId);
     // === 获取续写配置 ===
     const resumeEnabled = requestSpec.resume_on_prohibit === true;
     const resumeLimit = requestSpec.resume_limit || 3;
@@ -340,8 +372,14 @@ class ProxySystem extends EventTarget {
     // 续写循环变量
     let currentSpec = requestSpec;
     let headersSent = false;
-    let accumulatedSinceLastRetry = "";
+    // 本次尝试生成的内容，思考与正文分别保存为独立片段，续写时原样预填充
+    let attemptParts = [];
     let retryCount = 0;
+    let truncationReason = null;
+    // 上一次输出结尾的同类文本，续写结果开头与之重叠的部分会被去掉
+    let resumeTail = null;
+    // 非 SSE 响应（假流式/非流式）续写时，各次结果拼接成一个完整响应再返回
+    let stitchedResponse = null;
 
     try {
       // 开启循环以支持断点续传
@@ -374,101 +412,177 @@ class ProxySystem extends EventTarget {
         const textDecoder = new TextDecoder();
         let wasProhibited = false;
         let streamBuffer = ""; // [新增] 缓冲区，处理被切断的JSON
+        // 假流式会去掉 alt=sse，非流式请求本身就是完整 JSON，二者都按整体响应处理
+        const contentType = response.headers.get("content-type") || "";
+        const isEventStream = contentType.includes("text/event-stream");
+        // 文件下载等非文本响应不能用 TextDecoder 解码，按 base64 原样转发
+        const isBinary = contentType !== "" && !/^text\/|json|javascript|xml|x-www-form-urlencoded/.test(contentType);
+        let responseText = "";
+        attemptParts = [];
+        const overlapGuard = resumeTail ? this._createOverlapGuard(resumeTail, log) : null;
+
+        // 开启续写时逐行解析后再转发：记录生成内容、去除重叠，
+        // 还会继续续写时去掉截断的 finishReason，客户端看到的是一个连续的流
+        const processEventLine = (line) => {
+          let data;
+          try {
+            data = JSON.parse(line.replace(/^data:\s*/, "").trim());
+          } catch (e) {
+            this._transmitChunk(`${line}\n\n`, operationId);
+            return;
+          }
+          const candidate = data.candidates?.[0];
+          if (!candidate) {
+            this._transmitChunk(`data: ${JSON.stringify(data)}\r\n\r\n`, operationId);
+            return;
+          }
+
+          // [关键修改] 只要 finishReason 存在且不是 STOP，就视为异常截断
+          // 包括 PROHIBITED_CONTENT, SAFETY, RECITATION, OTHER 等
+          const finishReason = candidate.finishReason;
+          if (finishReason && finishReason !== "STOP") {
+            log.output(`⚠️ 检测到截断信号: ${finishReason} (尝试 ${retryCount + 1}/${resumeLimit + 1})`);
+            wasProhibited = true;
+            truncationReason = finishReason;
+            if (retryCount < resumeLimit) delete candidate.finishReason;
+          }
+
+          let parts = candidate.content?.parts || [];
+          if (overlapGuard) {
+            parts = overlapGuard.push(parts);
+            if (finishReason) parts = parts.concat(overlapGuard.flush());
+          }
+          parts.forEach((part) => this._appendResumePart(attemptParts, part));
+          if (candidate.content) candidate.content.parts = parts;
+          if (parts.length === 0 && !candidate.finishReason && !data.usageMetadata) return;
+          this._transmitChunk(`data: ${JSON.stringify(data)}\r\n\r\n`, operationId);
+        };
 
         while (true) {
           const { done, value } = await reader.read();
           if (done) break;
 
+          if (isBinary) {
+            this._transmitChunk(this._encodeBase64(value), operationId, "base64");
+            continue;
+          }
+
           const chunk = textDecoder.decode(value, { stream: true });
           
-          if (mode === "real") {
-            // 1. 发送原始数据给前端（确保速度）
-            this._transmitChunk(chunk, operationId);
-
-            // 2. 续写检测逻辑
-            if (resumeEnabled) {
-                // 将新块拼接到缓冲区
-                streamBuffer += chunk;
-                
-                // 尝试按行分割处理
-                const lines = streamBuffer.split('\n');
-                
-                // 最后一行可能不完整，保留在缓冲区，等待下一次拼接
-                // 如果正好以 \n 结尾，pop出来的就是空字符串，这也没问题
-                streamBuffer = lines.pop(); 
-
-                for (const line of lines) {
-                    if (!line.trim().startsWith('data:')) continue;
-                    const jsonStr = line.replace(/^data:\s*/, '').trim();
-                    if (!jsonStr) continue;
-                    
-                    try {
-                        const data = JSON.parse(jsonStr);
-                        
-                        // 累积文本
-                        const textPart = data.candidates?.[0]?.content?.parts?.[0]?.text || "";
-                        accumulatedSinceLastRetry += textPart;
-
-                        const finishReason = data.candidates?.[0]?.finishReason;
-                        
-                        // [关键修改] 只要 finishReason 存在且不是 STOP，就视为异常截断
-                        // 包括 PROHIBITED_CONTENT, SAFETY, RECITATION, OTHER 等
-                        if (finishReason && finishReason !== 'STOP') {
-                            Logger.output(`⚠️ 检测到截断信号: ${finishReason} (尝试 ${retryCount + 1}/${resumeLimit + 1})`);
-                            wasProhibited = true;
-                            // 这里不 break，继续解析剩余行，以防有后续数据
-                        }
-                    } catch (e) {
-                        // 忽略解析错误，等待缓冲区拼接完整
-                    }
-                }
-                
-                if (wasProhibited) break; // 跳出 reader 循环
+          if (isEventStream && resumeEnabled) {
+            // 将新块拼接到缓冲区，按行分割处理
+            // 最后一行可能不完整，保留在缓冲区，等待下一次拼接
+            streamBuffer += chunk;
+            const lines = streamBuffer.split("\n");
+            streamBuffer = lines.pop();
+
+            for (const line of lines) {
+              if (line.trim().startsWith("data:")) processEventLine(line);
             }
+            
+            if (wasProhibited) break; // 跳出 reader 循环
+          } else if (resumeEnabled) {
+             // 需要检查 finishReason，先完整缓冲
+             responseText += chunk;
           } else {
-             // Fake 模式直接转发
+             // 未开启续写时直接转发
              this._transmitChunk(chunk, operationId);
           }
         } // End Reader Loop
 
+        if (isEventStream && resumeEnabled && !wasProhibited) {
+          if (streamBuffer.trim().startsWith("data:")) processEventLine(streamBuffer);
+          // 流结束时仍在缓冲的开头部分（整个续写结果都很短）
+          const remainingParts = overlapGuard ? overlapGuard.flush() : [];
+          if (remainingParts.length > 0) {
+            this._transmitChunk(`data: ${JSON.stringify({ candidates: [{ content: { role: "model", parts: remainingParts } }] })}\r\n\r\n`, operationId);
+          }
+        }
+
+        if (!isEventStream && !isBinary && resumeEnabled) {
+          responseText += textDecoder.decode();
+          let data = null;
+          try {
+            data = JSON.parse(responseText);
+          } catch (e) {
+            // 不是 JSON（或被截断）时原样返回
+          }
+          const candidate = data?.candidates?.[0];
+          if (!candidate) {
+            this._transmitChunk(stitchedResponse ? JSON.stringify(stitchedResponse) : responseText, operationId);
+            break;
+          }
+
+          let parts = candidate.content?.parts || [];
+          if (overlapGuard) parts = overlapGuard.push(parts).concat(overlapGuard.flush());
+          if (candidate.content) candidate.content.parts = parts;
+          parts.forEach((part) => this._appendResumePart(attemptParts, part));
+          stitchedResponse = this._mergeResumeResponse(stitchedResponse, data);
+
+          const finishReason = candidate.finishReason;
+          if (finishReason && finishReason !== "STOP") {
+            log.output(`⚠️ 检测到截断信号: ${finishReason} (尝试 ${retryCount + 1}/${resumeLimit + 1})`);
+            wasProhibited = true;
+            truncationReason = finishReason;
+          }
+          // 还会继续续写时不发送，最终只返回一次拼接好的结果
+          if (!wasProhibited || retryCount >= resumeLimit) {
+            if (retryCount > 0) log.output(`🧩 已拼接 ${retryCount + 1} 次请求的结果`);
+            this._transmitChunk(JSON.stringify(stitchedResponse), operationId);
+          }
+        }
+
         // === 处理续写 ===
         if (resumeEnabled && wasProhibited && retryCount < resumeLimit) {
-            Logger.output(`🔄 正在准备上下文拼接续写... (已累积字符: ${accumulatedSinceLastRetry.length})`);
+            const thoughtLength = attemptParts.filter((p) => p.thought).reduce((sum, p) => sum + (p.text || "").length, 0);
+            const textLength = attemptParts.filter((p) => !p.thought).reduce((sum, p) => sum + (p.text || "").length, 0);
+            log.output(`🔄 正在准备上下文拼接续写... (思考: ${thoughtLength} 字符, 正文: ${textLength} 字符)`);
             try {
                 let bodyObj = JSON.parse(currentSpec.body);
                 if (!bodyObj.contents) bodyObj.contents = [];
 
-                const lastMsg = bodyObj.contents[bodyObj.contents.length - 1];
+                let lastMsg = bodyObj.contents[bodyObj.contents.length - 1];
                 
-                // 预填充逻辑：将刚才生成的文本作为 model 的回复追加到历史记录中
+                // 预填充逻辑：将刚才生成的内容作为 model 的回复追加到历史记录中，
+                // 思考片段保持 thought 标记与签名，不混入正文
                 if (lastMsg && lastMsg.role === 'model') {
-                    if (!lastMsg.parts) lastMsg.parts = [{ text: "" }];
-                    lastMsg.parts[0].text += accumulatedSinceLastRetry;
-                    Logger.output(`📄 [Prefill] 追加到现有 model 消息`);
+                    log.output(`📄 [Prefill] 追加到现有 model 消息`);
                 } else {
-                    bodyObj.contents.push({
-                        role: "model",
-                        parts: [{ text: accumulatedSinceLastRetry }]
-                    });
-                    Logger.output(`📄 [Prefill] 新建 model 消息用于上下文拼接`);
+                    lastMsg = { role: "model", parts: [] };
+                    bodyObj.contents.push(lastMsg);
+                    log.output(`📄 [Prefill] 新建 model 消息用于上下文拼接`);
                 }
+                if (!lastMsg.parts) lastMsg.parts = [];
+                attemptParts.forEach((part) => this._appendResumePart(lastMsg.parts, part));
+
+                const tailPart = lastMsg.parts[lastMsg.parts.length - 1];
+                resumeTail = this._isTextPart(tailPart)
+                  ? { thought: !!tailPart.thought, text: tailPart.text.slice(-this.resumeOverlapWindow) }
+                  : null;
 
                 currentSpec.body = JSON.stringify(bodyObj);
-                accumulatedSinceLastRetry = "";
                 retryCount++;
+                this._transmitResumeMarker(operationId, {
+                  attempt: retryCount,
+                  reason: truncationReason,
+                  thought_chars: thoughtLength,
+                  text_chars: textLength,
+                });
                 
-                Logger.output(`✅ 续写请求已构造，正在重发...`);
+                log.output(`✅ 续写请求已构造，正在重发...`);
                 continue; // 继续最外层的 while(true) 循环，使用新的 Body 发起请求
 
             } catch (e) {
-                Logger.output(`❌ 构造续写请求失败: ${e.message}`);
+                log.output(`❌ 构造续写请求失败: ${e.message}`);
+                // 整体响应模式下尚未发送任何内容，返回已拼接的部分
+                if (stitchedResponse) this._transmitChunk(JSON.stringify(stitchedResponse), operationId);
                 break;
             }
         }
 
         // 正常完成或次数用尽
         if (resumeEnabled && wasProhibited) {
-             Logger.output(`🛑 达到最大重试次数或无法继续续写。`);
+             log.output(`🛑 达到最大重试次数或无法继续续写。`);
         }
         break;
       } // End Main While Loop
@@ -477,9 +591,9 @@ class ProxySystem extends EventTarget {
       
     } catch (error) {
       if (error.name === "AbortError") {
-        Logger.output(`[诊断] 操作 #${operationId} 已被用户中止。`);
+        log.output(`[诊断] 操作已被用户中止。`);
       } else {
-        Logger.output(`❌ 请求处理失败: ${error.message}`);
+        log.output(`❌ 请求处理失败: ${error.message}`);
       }
       this._sendErrorResponse(error, operationId);
     } finally {
@@ -488,6 +602,104 @@ class ProxySystem extends EventTarget {
     }
   }
 
+  _isTextPart(part) {
+    return !!part && typeof part.text === "string" && !part.functionCall;
+  }
+
+  // 相邻的同类文本片段（思考/正文）合并，思考签名随最新片段更新；其余片段原样追加
+  _appendResumePart(parts, part) {
+    const last = parts[parts.length - 1];
+    if (this._isTextPart(last) && this._isTextPart(part) && !!last.thought === !!part.thought) {
+      last.text += part.text;
+      if (part.thoughtSignature) last.thoughtSignature = part.thoughtSignature;
+    } else {
+      parts.push({ ...part });
+    }
+  }
+
+  // 续写结果的开头经常重复上次结尾的一段文字：先缓冲与结尾同类的开头文本，
+  // 攒够窗口长度（或出现其它片段、流结束）后去掉重叠部分再放行
+  _createOverlapGuard(tail, log) {
+    const pending = [];
+    let pendingText = "";
+    let blocked = false;
+    let resolved = false;
+    const resolve = () => {
+      resolved = true;
+      let remaining = this._findOverlap(tail.text, pendingText);
+      if (remaining > 0) log.output(`✂️ 续写开头与上次输出重叠 ${remaining} 个字符，已去除`);
+      const output = [];
+      for (const part of pending) {
+        if (remaining > 0 && this._isTextPart(part) && !!part.thought === tail.thought) {
+          const cut = Math.min(remaining, part.text.length);
+          remaining -= cut;
+          const text = part.text.slice(cut);
+          if (!text && !part.thoughtSignature) continue;
+          output.push({ ...part, text });
+        } else {
+          output.push(part);
+        }
+      }
+      pending.length = 0;
+      return output;
+    };
+    return {
+      push: (parts) => {
+        if (resolved) return parts;
+        for (const part of parts) {
+          pending.push(part);
+          if (!blocked && this._isTextPart(part) && !!part.thought === tail.thought) pendingText += part.text;
+          else blocked = true;
+        }
+        return blocked || pendingText.length >= this.resumeOverlapWindow ? resolve() : [];
+      },
+      flush: () => (resolved ? [] : resolve()),
+    };
+  }
+
+  // previous 的结尾与 next 的开头最长的相同部分，短于 resumeMinOverlap 的视为巧合
+  _findOverlap(previous, next) {
+    for (let length = Math.min(previous.length, next.length); length >= this.resumeMinOverlap; length--) {
+      if (previous.endsWith(next.slice(0, length))) return length;
+    }
+    return 0;
+  }
+
+  // 把续写得到的响应拼接到之前的结果上：片段按 _appendResumePart 合并，
+  // finishReason 取最后一次，usageMetadata 中的计数累加
+  _mergeResumeResponse(stitched, data) {
+    if (!stitched) return JSON.parse(JSON.stringify(data));
+
+    const target = stitched.candidates[0];
+    const candidate = data.candidates[0];
+    if (!target.content) target.content = { role: "model", parts: [] };
+    if (!target.content.parts) target.content.parts = [];
+    for (const part of candidate.content?.parts || []) {
+      this._appendResumePart(target.content.parts, part);
+    }
+    target.finishReason = candidate.finishReason;
+    if (candidate.safetyRatings) target.safetyRatings = candidate.safetyRatings;
+
+    if (data.usageMetadata) {
+      const usage = stitched.usageMetadata || {};
+      for (const [key, value] of Object.entries(data.usageMetadata)) {
+        usage[key] = typeof value === "number" && typeof usage[key] === "number" ? usage[key] + value : value;
+      }
+      stitched.usageMetadata = usage;
+    }
+    if (data.modelVersion) stitched.modelVersion = data.modelVersion;
+    return stitched;
+  }
+
+  // 每次开始续写时通知服务器，服务器据此统计每个请求的续写次数
+  _transmitResumeMarker(operationId, details) {
+    this.connectionManager.transmit({
+      request_id: operationId,
+      event_type: "resume_marker",
+      ...details,
+    });
+  }
+
   _transmitHeaders(response, operationId) {
     const headerMap = {};
     response.headers.forEach((v, k) => {
@@ -501,25 +713,36 @@ class ProxySystem extends EventTarget {
     });
   }
 
-  _transmitChunk(chunk, operationId) {
+  _transmitChunk(chunk, operationId, encoding = null) {
     if (!chunk) return;
     this.connectionManager.transmit({
       request_id: operationId,
       event_type: "chunk",
       data: chunk,
+      ...(encoding && { encoding }),
     });
   }
 
+  _encodeBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
   _transmitStreamEnd(operationId) {
+    const log = Logger.forRequest(operationId);
     this.connectionManager.transmit({
       request_id: operationId,
       event_type: "stream_close",
     });
-    Logger.output("任务完成，已发送流结束信号");
+    log.output("任务完成，已发送流结束信号");
   }
 
   _sendErrorResponse(error, operationId) {
     if (!operationId) return;
+    const log = Logger.forRequest(operationId);
     this.connectionManager.transmit({
       request_id: operationId,
       event_type: "error",
@@ -527,9 +750,9 @@ class ProxySystem extends EventTarget {
       message: `代理端浏览器错误: ${error.message || "未知错误"}`,
     });
     if (error.name === "AbortError") {
-      Logger.output("已将“中止”状态发送回服务器");
+      log.output("已将“中止”状态发送回服务器");
     } else {
-      Logger.output("已将“错误”信息发送回服务器");
+      log.output("已将“错误”信息发送回服务器");
     }
   }
 }
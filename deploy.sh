@@ -59,6 +59,12 @@ else
     echo "--> 未检测到 'auth' 目录，跳过挂载。"
 fi
 
+# 持久化数据目录（API Key 等），不存在时自动创建
+mkdir -p ./data
+sudo chown -R 1000:1000 ./data
+echo "--> 正在将 'data' 目录挂载到容器中..."
+DOCKER_OPTS+=(-v "$(pwd)/data:/app/data")
+
 # 条件性地向数组中添加代理参数
 if [ -n "$PROXY_URL" ]; then
     echo "--> 检测到代理配置，将为容器启用代理: $PROXY_URL"
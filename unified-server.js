@@ -9,18 +9,35 @@ const fs = require("fs");
 const path = require("path");
 const { firefox } = require("playwright");
 const os = require("os");
+const { AsyncLocalStorage } = require("async_hooks");
+const readline = require("readline");
+const yaml = require("js-yaml");
+const multer = require("multer");
+const dns = require("dns");
+const net = require("net");
+const { Agent, fetch: undiciFetch } = require("undici");
 
 // ===================================================================================
 // AUTH SOURCE MANAGEMENT MODULE
 // ===================================================================================
 
-class AuthSource {
+class AuthSource extends EventEmitter {
   constructor(logger) {
+    super();
     this.logger = logger;
     this.authMode = "file";
     this.availableIndices = [];
     this.initialIndices = [];
     this.accountNameMap = new Map();
+    // index -> { state, until, reason, updatedAt }，未记录的账号视为 healthy
+    this.healthMap = new Map();
+    // index -> 内容哈希，热重载时据此区分新增/更新/移除
+    this.contentHashes = new Map();
+    this.authDir = path.join(__dirname, "auth");
+    this.watcher = null;
+    this.reloadTimer = null;
+    // 环境变量模式下无法写回，刷新后的会话保存在内存中，供重载和导出使用
+    this.refreshedStates = new Map();
 
     if (process.env.AUTH_JSON_1) {
       this.authMode = "env";
@@ -55,7 +72,7 @@ class AuthSource {
         }
       }
     } else {
-      const authDir = path.join(__dirname, "auth");
+      const authDir = this.authDir;
       if (!fs.existsSync(authDir)) {
         this.logger.warn('[Auth] "auth/" 目录不存在。');
         this.availableIndices = [];
@@ -95,6 +112,7 @@ class AuthSource {
         try {
           const authData = JSON.parse(authContent);
           validIndices.push(index);
+          this.contentHashes.set(index, this._hashContent(authContent));
           this.accountNameMap.set(
             index,
             authData.accountName || "N/A (未命名)"
@@ -123,7 +141,7 @@ class AuthSource {
     if (this.authMode === "env") {
       return process.env[`AUTH_JSON_${index}`];
     } else {
-      const authFilePath = path.join(__dirname, "auth", `auth-${index}.json`);
+      const authFilePath = path.join(this.authDir, `auth-${index}.json`);
       if (!fs.existsSync(authFilePath)) return null;
       try {
         return fs.readFileSync(authFilePath, "utf-8");
@@ -138,6 +156,7 @@ class AuthSource {
       this.logger.error(`[Auth] 请求了无效或不存在的认证索引: ${index}`);
       return null;
     }
+    if (this.refreshedStates.has(index)) return this.refreshedStates.get(index);
 
     let jsonString = this._getAuthContent(index);
     if (!jsonString) {
@@ -158,6 +177,174 @@ class AuthSource {
   getMaxIndex() {
     return Math.max(...this.availableIndices, 0);
   }
+
+  getHealth(index) {
+    const health = this.healthMap.get(index);
+    if (!health) return { state: "healthy", until: null, reason: null, updatedAt: null };
+    // 冷却期结束后自动恢复
+    if (health.until && health.until <= Date.now()) {
+      this.healthMap.delete(index);
+      this.logger.info(`[Auth] 账号 #${index} 冷却结束 (${health.state})，重新加入轮换。`);
+      return { state: "healthy", until: null, reason: null, updatedAt: null };
+    }
+    return health;
+  }
+
+  isHealthy(index) {
+    return this.getHealth(index).state === "healthy";
+  }
+
+  // state: cooldown | cookie_invalid | region_blocked | forbidden；durationMs 为空表示需人工处理
+  markUnhealthy(index, state, reason, durationMs = null) {
+    this.healthMap.set(index, {
+      state,
+      until: durationMs ? Date.now() + durationMs : null,
+      reason,
+      updatedAt: Date.now(),
+    });
+    const untilText = durationMs ? `，${Math.round(durationMs / 1000)} 秒后恢复` : "";
+    this.logger.warn(`[Auth] 账号 #${index} 标记为 ${state}: ${reason}${untilText}`);
+  }
+
+  markHealthy(index) {
+    if (this.healthMap.delete(index)) {
+      this.logger.info(`[Auth] 账号 #${index} 已恢复为 healthy。`);
+    }
+  }
+
+  // 重新扫描认证源，有变化时触发 "authChanged" 事件
+  reload() {
+    const previousHashes = this.contentHashes;
+    this.contentHashes = new Map();
+    this._discoverAvailableIndices();
+    this._preValidateAndFilter();
+
+    const added = [];
+    const updated = [];
+    for (const [index, hash] of this.contentHashes) {
+      if (!previousHashes.has(index)) added.push(index);
+      else if (previousHashes.get(index) !== hash) updated.push(index);
+    }
+    const removed = [...previousHashes.keys()].filter((index) => !this.contentHashes.has(index));
+
+    for (const index of removed) {
+      this.accountNameMap.delete(index);
+      this.healthMap.delete(index);
+    }
+    // 新的 Cookie 可能已经修复了之前的失效状态，交给下次启动重新判定
+    for (const index of [...added, ...updated]) this.markHealthy(index);
+
+    const changes = { added, removed, updated };
+    if (added.length > 0 || removed.length > 0 || updated.length > 0) {
+      this.logger.info(
+        `[Auth] 认证源已重载: 新增 [${added.join(", ")}], 更新 [${updated.join(", ")}], 移除 [${removed.join(", ")}]`
+      );
+      this.emit("authChanged", changes);
+    }
+    return changes;
+  }
+
+  // 仅文件模式：监听 auth/ 目录，防抖后重载（自身写入的文件哈希不变，不会重复触发）
+  startWatching() {
+    if (this.authMode !== "file" || this.watcher) return;
+    if (!fs.existsSync(this.authDir)) {
+      this.logger.warn('[Auth] "auth/" 目录不存在，跳过热重载监听。');
+      return;
+    }
+    try {
+      this.watcher = fs.watch(this.authDir, (eventType, filename) => {
+        if (filename && !/^auth-\d+\.json$/.test(filename)) return;
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reload(), 1000);
+      });
+      this.watcher.on("error", (error) => {
+        this.logger.error(`[Auth] 监听 "auth/" 目录出错: ${error.message}`);
+        this.stopWatching();
+      });
+      this.logger.info('[Auth] 已开始监听 "auth/" 目录，认证文件变更将自动生效。');
+    } catch (error) {
+      this.logger.warn(`[Auth] 无法监听 "auth/" 目录: ${error.message}`);
+    }
+  }
+
+  stopWatching() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  // 写入（新增或替换）认证文件
+  saveAuth(index, authData) {
+    if (this.authMode !== "file") {
+      throw new Error("环境变量认证模式下不支持在线修改认证源。");
+    }
+    if (!Number.isInteger(index) || index < 1) {
+      throw new Error(`无效的认证索引: ${index}`);
+    }
+    if (!authData || typeof authData !== "object" || Array.isArray(authData) || !Array.isArray(authData.cookies)) {
+      throw new Error("认证内容必须是包含 cookies 数组的 JSON 对象。");
+    }
+
+    this._writeAuthFile(index, authData);
+    this.logger.info(`[Auth] 已写入认证文件 auth-${index}.json`);
+
+    const changes = this.reload();
+    this.startWatching();
+    return changes;
+  }
+
+  // 写回浏览器刷新后的会话，保留原文件中的 accountName；成功时返回新的内容哈希
+  persistStorageState(index, storageState) {
+    if (!this.availableIndices.includes(index)) return null;
+    const current = this.getAuth(index);
+    const authData = { ...storageState };
+    if (current && current.accountName) authData.accountName = current.accountName;
+
+    if (this.authMode === "env") {
+      this.refreshedStates.set(index, authData);
+      return this.contentHashes.get(index);
+    }
+
+    // 文件已被外部修改但尚未重载时不覆盖
+    const fileContent = this._getAuthContent(index);
+    if (!fileContent || this._hashContent(fileContent) !== this.contentHashes.get(index)) return null;
+
+    const content = this._writeAuthFile(index, authData);
+    // 同步哈希，目录监听到这次写入时不会当作外部修改而重载账号
+    const authHash = this._hashContent(content);
+    this.contentHashes.set(index, authHash);
+    return authHash;
+  }
+
+  _hashContent(content) {
+    return crypto.createHash("sha1").update(content).digest("hex");
+  }
+
+  // 先写临时文件再重命名，避免读到或监听到半截内容
+  _writeAuthFile(index, authData) {
+    fs.mkdirSync(this.authDir, { recursive: true });
+    const filePath = path.join(this.authDir, `auth-${index}.json`);
+    const tmpPath = path.join(this.authDir, `.auth-${index}.json.tmp`);
+    const content = JSON.stringify(authData, null, 2);
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, filePath);
+    return content;
+  }
+
+  // 删除认证文件，文件不存在时返回 null
+  deleteAuth(index) {
+    if (this.authMode !== "file") {
+      throw new Error("环境变量认证模式下不支持在线修改认证源。");
+    }
+    const filePath = path.join(this.authDir, `auth-${index}.json`);
+    if (!fs.existsSync(filePath)) return null;
+    fs.unlinkSync(filePath);
+    this.refreshedStates.delete(index);
+    this.logger.info(`[Auth] 已删除认证文件 auth-${index}.json`);
+    return this.reload();
+  }
 }
 
 // ===================================================================================
@@ -165,30 +352,20 @@ class AuthSource {
 // ===================================================================================
 
 class BrowserManager {
-  constructor(logger, config, authSource) {
+  constructor(logger, config, authSource, metrics) {
     this.logger = logger;
     this.config = config;
     this.authSource = authSource;
+    this.metrics = metrics;
     this.browser = null;
-    this.context = null;
-    this.page = null;
-    this.currentAuthIndex = 0;
+    // authIndex -> { context, page }，池中每个账号各自持有一个上下文
+    this.contexts = new Map();
+
+    this.metrics.counter("aisbuild_browser_context_launches_total", "Browser context launches by outcome.");
+    this.metrics.gauge("aisbuild_browser_up", "Whether the browser process is running.", (set) => set({}, this.browser ? 1 : 0));
+    this.metrics.gauge("aisbuild_browser_contexts", "Number of account contexts in the pool.", (set) => set({}, this.contexts.size));
     this.scriptFileName = "black-browser.js";
-    this.launchArgs = [
-      "--disable-dev-shm-usage",
-      "--disable-gpu",
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-infobars",
-      "--disable-background-networking",
-      "--disable-default-apps",
-      "--disable-extensions",
-      "--disable-sync",
-      "--disable-translate",
-      "--metrics-recording-only",
-      "--mute-audio",
-      "--safebrowsing-disable-auto-update",
-    ];
+    this.launchArgs = this.config.browserLaunchArgs;
 
     if (this.config.browserExecutablePath) {
       this.browserExecutablePath = this.config.browserExecutablePath;
@@ -206,7 +383,7 @@ class BrowserManager {
     }
   }
 
-  async launchOrSwitchContext(authIndex) {
+  async launchOrSwitchContext(authIndex, replaceIndex = null) {
     if (!this.browser) {
       this.logger.info("🚀 [Browser] 正在启动浏览器实例...");
       if (!fs.existsSync(this.browserExecutablePath)) {
@@ -222,15 +399,12 @@ class BrowserManager {
       this.browser.on("disconnected", () => {
         this.logger.error("❌ [Browser] 浏览器意外断开连接！");
         this.browser = null;
-        this.context = null;
-        this.page = null;
+        this.contexts.clear();
       });
     }
-    if (this.context) {
-      await this.context.close();
-      this.context = null;
-      this.page = null;
-    }
+    // 先释放被替换的账号，再重载同一账号（如果它已在池中）
+    if (replaceIndex !== null) await this.closeContext(replaceIndex);
+    await this.closeContext(authIndex);
 
     this.logger.info(`🔄 [Browser] 正在加载账号 #${authIndex} ...`);
 
@@ -240,47 +414,61 @@ class BrowserManager {
         `Failed to get or parse auth source for index ${authIndex}.`
       );
     }
-    const buildScriptContent = fs.readFileSync(
-      path.join(__dirname, this.scriptFileName),
-      "utf-8"
-    );
-
+    // 记录启动时的认证内容版本，文件被外部替换后不再用旧上下文覆盖它
+    const authHash = this.authSource.contentHashes.get(authIndex);
+    // 每个上下文注入的客户端都带上自己的账号索引，服务器据此区分 WebSocket 身份
+    const buildScriptContent = fs
+      .readFileSync(path.join(__dirname, this.scriptFileName), "utf-8")
+      .replace("const CLIENT_AUTH_INDEX = null;", `const CLIENT_AUTH_INDEX = ${authIndex};`)
+      .replace("const IDLE_TIMEOUT_DURATION = 600000;", `const IDLE_TIMEOUT_DURATION = ${this.config.browserIdleTimeout};`);
+
+    let context = null;
+    let page = null;
     try {
-      this.context = await this.browser.newContext({
+      context = await this.browser.newContext({
         storageState: storageStateObject,
         viewport: { width: 1920, height: 1080 },
       });
-      this.page = await this.context.newPage();
+      page = await context.newPage();
       
       // [优化] 过滤浏览器端回传的冗余日志
-      this.page.on("console", (msg) => {
+      page.on("console", (msg) => {
         const msgText = msg.text();
-        if (msgText.includes("[ProxyClient]")) {
-          // 过滤掉内部状态日志，避免误导用户
-          if (msgText.includes("遮罩层") || msgText.includes("Streaming mode set to") || msgText.includes("Input check")) {
+        // 带 [#request_id] 标记的日志归属到对应请求的上下文
+        const requestMatch = msgText.match(/\[#([\w-]+)\]/);
+        const requestContext = requestMatch ? this.logger.getRequestContext(requestMatch[1]) : null;
+        this.logger.runWithContext({ ...requestContext, account: authIndex }, () => {
+          if (msgText.includes("[ProxyClient]")) {
+            let clientText = msgText.replace("[ProxyClient] ", "");
+            if (requestMatch) clientText = clientText.replace(`${requestMatch[0]} `, "");
+            const text = `[Browser #${authIndex}] ${clientText}`;
+            // 内部状态日志降为 debug，避免误导用户
+            if (msgText.includes("遮罩层") || msgText.includes("Streaming mode set to") || msgText.includes("Input check")) {
+              this.logger.debug(text);
               return;
+            }
+            this.logger.info(text);
+          } else if (msg.type() === "error" && !msgText.includes("ERR_BLOCKED_BY_CLIENT")) {
+            // 仅真正的页面错误按 error 输出
+            this.logger.error(`[Browser #${authIndex} Page Error] ${msgText}`);
+          } else {
+            this.logger.debug(`[Browser #${authIndex} Page] ${msgText}`);
           }
-          this.logger.info(`[Browser] ${msgText.replace("[ProxyClient] ", "")}`);
-        } else if (msg.type() === "error") {
-          // 仅记录真正的页面错误
-          if (!msgText.includes("ERR_BLOCKED_BY_CLIENT")) {
-             this.logger.error(`[Browser Page Error] ${msgText}`);
-          }
-        }
+        });
       });
 
       const targetUrl =
         "https://aistudio.google.com/u/0/apps/bundled/blank?showPreview=true&showCode=true&showAssistant=true";
-      await this.page.goto(targetUrl, {
-        timeout: 180000,
+      await page.goto(targetUrl, {
+        timeout: this.config.pageLoadTimeout,
         waitUntil: "domcontentloaded",
       });
 
-      await this.page.waitForTimeout(3000);
+      await page.waitForTimeout(3000);
 
-      const currentUrl = this.page.url();
+      const currentUrl = page.url();
       let pageTitle = "";
-      try { pageTitle = await this.page.title(); } catch (e) { }
+      try { pageTitle = await page.title(); } catch (e) { }
 
       // 1. 检查 Cookie 是否失效
       if (
@@ -289,25 +477,28 @@ class BrowserManager {
         pageTitle.includes("Sign in")
       ) {
         this.logger.error(`🚨 [环境错误] 重定向至登录页，Cookie可能已失效。`);
+        this.authSource.markUnhealthy(authIndex, "cookie_invalid", "重定向至登录页");
         throw new Error("Cookie 已失效，请重新提取。");
       }
 
       if (pageTitle.includes("Available regions")) {
+        this.authSource.markUnhealthy(authIndex, "region_blocked", "Available regions", this.config.authBlockedCooldown);
         throw new Error("当前 IP 不支持访问 Google AI Studio。");
       }
 
       if (pageTitle.includes("403") || pageTitle.includes("Forbidden")) {
+        this.authSource.markUnhealthy(authIndex, "forbidden", "页面返回 403", this.config.authBlockedCooldown);
         throw new Error("当前 IP 被 Google 风控 (403)。");
       }
 
       // [优化] 合并弹窗处理日志，不再刷屏
       const handlePopup = async (selector, name) => {
         try {
-            const btn = this.page.locator(selector);
+            const btn = page.locator(selector);
             if (await btn.isVisible({ timeout: 2000 })) {
                 await btn.click({ force: true });
                 this.logger.info(`[Browser] 已关闭 "${name}" 弹窗`);
-                await this.page.waitForTimeout(500);
+                await page.waitForTimeout(500);
             }
         } catch(e) {}
       };
@@ -317,27 +508,27 @@ class BrowserManager {
       await handlePopup('button[aria-label="Close"]', "Welcome Guide");
 
       // 移除遮罩层 (静默处理)
-      await this.page.evaluate(() => {
+      await page.evaluate(() => {
         const overlays = document.querySelectorAll("div.cdk-overlay-backdrop");
         overlays.forEach((el) => el.remove());
       });
 
       // 寻找 Code 按钮
       try {
-        await this.page.waitForSelector('button:has-text("Code")', { state: 'attached', timeout: 15000 });
+        await page.waitForSelector('button:has-text("Code")', { state: 'attached', timeout: 15000 });
       } catch (e) { }
 
       let codeBtnClicked = false;
       for (let i = 1; i <= 5; i++) {
         try {
           // 尝试点击
-          const codeBtn = this.page.locator('button:text("Code")').first();
+          const codeBtn = page.locator('button:text("Code")').first();
           if ((await codeBtn.count()) > 0) {
               await codeBtn.click({ force: true, timeout: 2000 });
               codeBtnClicked = true;
           } else {
              // JS fallback
-             const jsResult = await this.page.evaluate(() => {
+             const jsResult = await page.evaluate(() => {
                 const buttons = Array.from(document.querySelectorAll("button"));
                 const target = buttons.find((b) => b.innerText?.trim() === "Code");
                 if (target) { target.click(); return true; }
@@ -347,7 +538,7 @@ class BrowserManager {
           }
 
           if (codeBtnClicked) break;
-          await this.page.waitForTimeout(500);
+          await page.waitForTimeout(500);
         } catch (error) {
            if(i === 5) {
                this.logger.warn(`[Browser] 点击 Code 按钮尝试失败。`);
@@ -359,29 +550,39 @@ class BrowserManager {
           throw new Error("UI 交互失败：找不到 Code 按钮。");
       }
 
-      const editorContainerLocator = this.page.locator("div.monaco-editor").first();
+      const editorContainerLocator = page.locator("div.monaco-editor").first();
       await editorContainerLocator.waitFor({ state: "visible", timeout: 60000 });
 
       // 再次移除遮罩 (静默)
-      await this.page.evaluate(() => {
+      await page.evaluate(() => {
         document.querySelectorAll("div.cdk-overlay-backdrop").forEach((el) => el.remove());
       });
 
       await editorContainerLocator.click({ timeout: 30000 });
-      await this.page.evaluate((text) => navigator.clipboard.writeText(text), buildScriptContent);
+      await page.evaluate((text) => navigator.clipboard.writeText(text), buildScriptContent);
       
       const isMac = os.platform() === "darwin";
-      await this.page.keyboard.press(isMac ? "Meta+V" : "Control+V");
+      await page.keyboard.press(isMac ? "Meta+V" : "Control+V");
       
-      await this.page.locator('button:text("Preview")').click();
+      await page.locator('button:text("Preview")').click();
       
-      this.currentAuthIndex = authIndex;
+      this.contexts.set(authIndex, { context, page, authHash });
+      // 成功进入页面说明 Cookie/IP 正常，清除此前的阻断状态（限流冷却除外）
+      if (this.authSource.getHealth(authIndex).state !== "cooldown") {
+        this.authSource.markHealthy(authIndex);
+      }
+      this.metrics.inc("aisbuild_browser_context_launches_total", { outcome: "success" });
       this.logger.info(`✅ [Browser] 账号 #${authIndex} 初始化完成，客户端就绪。`);
     } catch (error) {
+      this.metrics.inc("aisbuild_browser_context_launches_total", { outcome: "failure" });
       this.logger.error(
         `❌ [Browser] 账号 #${authIndex} 初始化失败: ${error.message}`
       );
-      if (this.browser) {
+      if (context) {
+        await context.close().catch(() => {});
+      }
+      // 池中没有其他账号时与原先一致：整个浏览器重启以清理异常状态
+      if (this.browser && this.contexts.size === 0) {
         await this.browser.close();
         this.browser = null;
       }
@@ -389,1012 +590,4342 @@ class BrowserManager {
     }
   }
 
+  async closeContext(authIndex) {
+    const entry = this.contexts.get(authIndex);
+    if (!entry) return;
+    this.contexts.delete(authIndex);
+    try {
+      await entry.context.close();
+    } catch (e) { }
+  }
+
+  get activeIndices() {
+    return [...this.contexts.keys()];
+  }
+
+  // 将上下文中已刷新的 Cookie 写回认证源，避免会话随上下文关闭而丢失
+  async saveStorageState(authIndex) {
+    const entry = this.contexts.get(authIndex);
+    if (!entry) return false;
+    if (this.authSource.contentHashes.get(authIndex) !== entry.authHash) return false;
+    try {
+      const storageState = await entry.context.storageState();
+      const authHash = this.authSource.persistStorageState(authIndex, storageState);
+      if (!authHash) return false;
+      entry.authHash = authHash;
+      this.logger.info(`💾 [Browser] 账号 #${authIndex} 的会话状态已保存。`);
+      return true;
+    } catch (error) {
+      this.logger.warn(`[Browser] 保存账号 #${authIndex} 的会话状态失败: ${error.message}`);
+      return false;
+    }
+  }
+
+  async saveAllStorageStates() {
+    for (const authIndex of this.activeIndices) {
+      await this.saveStorageState(authIndex);
+    }
+  }
+
+  // 兼容单账号视角：池中的第一个账号
+  get currentAuthIndex() {
+    return this.activeIndices[0] ?? 0;
+  }
+
   async closeBrowser() {
     if (this.browser) {
       await this.browser.close();
       this.browser = null;
-      this.context = null;
-      this.page = null;
+      this.contexts.clear();
       this.logger.info("[Browser] 浏览器实例已关闭。");
     }
   }
 
-  async switchAccount(newAuthIndex) {
+  async switchAccount(oldAuthIndex, newAuthIndex) {
     this.logger.info(
-      `🔄 [Browser] 执行账号切换: #${this.currentAuthIndex} -> #${newAuthIndex}`
+      `🔄 [Browser] 执行账号切换: #${oldAuthIndex} -> #${newAuthIndex}`
     );
-    await this.launchOrSwitchContext(newAuthIndex);
+    await this.saveStorageState(oldAuthIndex);
+    await this.launchOrSwitchContext(newAuthIndex, oldAuthIndex);
   }
 }
 
 // ===================================================================================
-// PROXY SERVER MODULE
+// METRICS MODULE
 // ===================================================================================
 
-class LoggingService {
-  constructor(serviceName = "ProxyServer") {
-    this.serviceName = serviceName;
-    this.logBuffer = [];
-    this.maxBufferSize = 100;
+// 极简 Prometheus 指标注册表，只实现本服务用到的 counter / gauge / histogram
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
   }
 
-  _formatMessage(level, message) {
-    const timestamp = new Date().toISOString(); // 可以简化时间格式，例如 .split('T')[1].split('.')[0]
-    const formatted = `[${level}] ${timestamp} [${this.serviceName}] - ${message}`;
+  counter(name, help) {
+    this._register(name, "counter", help);
+  }
 
-    this.logBuffer.push(formatted);
-    if (this.logBuffer.length > this.maxBufferSize) {
-      this.logBuffer.shift();
-    }
+  // collect 在每次导出前调用，用于从运行状态中读取瞬时值
+  gauge(name, help, collect = null) {
+    this._register(name, "gauge", help, { collect });
+  }
 
-    return formatted;
+  histogram(name, help, buckets) {
+    this._register(name, "histogram", help, { buckets: [...buckets].sort((a, b) => a - b) });
   }
 
-  info(message) {
-    console.log(this._formatMessage("INFO", message));
+  _register(name, type, help, extra = {}) {
+    if (this.metrics.has(name)) return;
+    this.metrics.set(name, { name, type, help, values: new Map(), ...extra });
   }
-  error(message) {
-    console.error(this._formatMessage("ERROR", message));
+
+  inc(name, labels = {}, value = 1) {
+    const entry = this._getEntry(name, labels, () => ({ labels, value: 0 }));
+    entry.value += value;
   }
-  warn(message) {
-    console.warn(this._formatMessage("WARN", message));
+
+  set(name, labels = {}, value) {
+    const entry = this._getEntry(name, labels, () => ({ labels, value: 0 }));
+    entry.value = value;
   }
-  debug(message) {
-    // 默认不输出Debug，除非需要
-    // console.debug(this._formatMessage("DEBUG", message));
+
+  observe(name, labels = {}, value) {
+    const metric = this.metrics.get(name);
+    const entry = this._getEntry(name, labels, () => ({
+      labels,
+      bucketCounts: metric.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    metric.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.bucketCounts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
   }
-}
 
-class MessageQueue extends EventEmitter {
-  constructor(timeoutMs = 600000) {
-    super();
-    this.messages = [];
-    this.waitingResolvers = [];
-    this.defaultTimeout = timeoutMs;
-    this.closed = false;
+  _getEntry(name, labels, create) {
+    const metric = this.metrics.get(name);
+    if (!metric) throw new Error(`Unknown metric: ${name}`);
+    const key = JSON.stringify(Object.keys(labels).sort().map((k) => [k, labels[k]]));
+    if (!metric.values.has(key)) metric.values.set(key, create());
+    return metric.values.get(key);
   }
-  enqueue(message) {
-    if (this.closed) return;
-    if (this.waitingResolvers.length > 0) {
-      const resolver = this.waitingResolvers.shift();
-      resolver.resolve(message);
-    } else {
-      this.messages.push(message);
-    }
+
+  _formatLabels(labels, extra = {}) {
+    const pairs = Object.entries({ ...labels, ...extra }).map(([k, v]) =>
+      `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+    );
+    return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
   }
-  async dequeue(timeoutMs = this.defaultTimeout) {
-    if (this.closed) {
-      throw new Error("Queue is closed");
-    }
-    return new Promise((resolve, reject) => {
-      if (this.messages.length > 0) {
-        resolve(this.messages.shift());
-        return;
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) {
+        metric.values.clear();
+        metric.collect((labels, value) => this.set(metric.name, labels, value));
       }
-      const resolver = { resolve, reject };
-      this.waitingResolvers.push(resolver);
-      const timeoutId = setTimeout(() => {
-        const index = this.waitingResolvers.indexOf(resolver);
-        if (index !== -1) {
-          this.waitingResolvers.splice(index, 1);
-          reject(new Error("Queue timeout"));
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const entry of metric.values.values()) {
+        if (metric.type !== "histogram") {
+          lines.push(`${metric.name}${this._formatLabels(entry.labels)} ${entry.value}`);
+          continue;
         }
-      }, timeoutMs);
-      resolver.timeoutId = timeoutId;
-    });
-  }
-  close() {
-    this.closed = true;
-    this.waitingResolvers.forEach((resolver) => {
-      clearTimeout(resolver.timeoutId);
-      resolver.reject(new Error("Queue closed"));
-    });
-    this.waitingResolvers = [];
-    this.messages = [];
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${metric.name}_bucket${this._formatLabels(entry.labels, { le: bound })} ${entry.bucketCounts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${this._formatLabels(entry.labels, { le: "+Inf" })} ${entry.count}`);
+        lines.push(`${metric.name}_sum${this._formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${metric.name}_count${this._formatLabels(entry.labels)} ${entry.count}`);
+      }
+    }
+    return lines.join("\n") + "\n";
   }
 }
 
-class ConnectionRegistry extends EventEmitter {
-  constructor(logger) {
-    super();
+// ===================================================================================
+// API KEY MODULE
+// ===================================================================================
+
+// 具名 API Key：环境变量 API_KEYS 中的 Key 不限额且只读，管理接口创建的 Key 保存在 apiKeysFile
+class ApiKeyManager {
+  constructor(logger, config) {
     this.logger = logger;
-    this.connections = new Set();
-    this.messageQueues = new Map();
-    this.reconnectGraceTimer = null;
+    this.config = config;
+    this.filePath = config.apiKeysFile;
+    // key -> { name, key, rpm, tokensPerDay, allowedModels, enabled, source, createdAt }
+    this.keys = new Map();
+    // name -> 最近一分钟内的请求时间戳
+    this.requestLog = new Map();
+    // name -> { day, tokens }
+    this.tokenUsage = new Map();
+    this._load();
   }
-  addConnection(websocket, clientInfo) {
-    if (this.reconnectGraceTimer) {
-      clearTimeout(this.reconnectGraceTimer);
-      this.reconnectGraceTimer = null;
-    }
 
-    this.connections.add(websocket);
-    // 简化日志
-    if(this.connections.size === 1) {
-        this.logger.info(`[Server] 浏览器WebSocket已连接。`);
+  _load() {
+    this.config.apiKeys.forEach((key, i) => {
+      this.keys.set(key, {
+        name: `env-${i + 1}`,
+        key,
+        rpm: 0,
+        tokensPerDay: 0,
+        allowedModels: [],
+        enabled: true,
+        source: "env",
+        createdAt: null,
+      });
+    });
+
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+      for (const item of Array.isArray(stored) ? stored : []) {
+        if (!item.key || !item.name || this.keys.has(item.key) || this.findByName(item.name)) {
+          this.logger.warn(`[ApiKey] 忽略无效或重复的 Key 配置: ${item.name || "(未命名)"}`);
+          continue;
+        }
+        this.keys.set(item.key, { ...this._normalizeFields(item), name: item.name, key: item.key, source: "file", createdAt: item.createdAt || null });
+      }
+      this.logger.info(`[ApiKey] 已加载 ${this.keys.size} 个 API Key。`);
+    } catch (error) {
+      this.logger.error(`[ApiKey] 读取 ${this.filePath} 失败: ${error.message}`);
     }
-    
-    websocket.on("message", (data) =>
-      this._handleIncomingMessage(data.toString())
-    );
-    websocket.on("close", () => this._removeConnection(websocket));
-    websocket.on("error", (error) =>
-      this.logger.error(`[Server] WS错误: ${error.message}`)
+  }
+
+  _save() {
+    const stored = [...this.keys.values()]
+      .filter((entry) => entry.source === "file")
+      .map(({ source, name, key, ...limits }) => ({ name, key, ...limits }));
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(stored, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  _normalizeFields(fields, base = {}) {
+    const toLimit = (value, fallback) => {
+      if (value === undefined) return fallback ?? 0;
+      const number = parseInt(value, 10);
+      if (isNaN(number) || number < 0) throw new Error(`无效的限额: ${value}`);
+      return number;
+    };
+    let allowedModels = fields.allowedModels !== undefined ? fields.allowedModels : base.allowedModels || [];
+    if (typeof allowedModels === "string") allowedModels = allowedModels.split(",");
+    if (!Array.isArray(allowedModels)) throw new Error("allowedModels 必须是数组或逗号分隔的字符串。");
+    return {
+      rpm: toLimit(fields.rpm, base.rpm),
+      tokensPerDay: toLimit(fields.tokensPerDay, base.tokensPerDay),
+      allowedModels: allowedModels.map((m) => String(m).trim()).filter((m) => m),
+      enabled: fields.enabled !== undefined ? fields.enabled !== false && fields.enabled !== "false" : base.enabled !== false,
+    };
+  }
+
+  authenticate(clientKey) {
+    const entry = clientKey ? this.keys.get(clientKey) : null;
+    return entry && entry.enabled ? entry : null;
+  }
+
+  findByName(name) {
+    return [...this.keys.values()].find((entry) => entry.name === name) || null;
+  }
+
+  // allowedModels 支持 "gemini-2.5-*" 形式的前缀通配
+  _isModelAllowed(entry, model) {
+    if (entry.allowedModels.length === 0 || !model || model === "-") return true;
+    return entry.allowedModels.some((pattern) =>
+      pattern.endsWith("*") ? model.startsWith(pattern.slice(0, -1)) : pattern === model
     );
-    this.emit("connectionAdded", websocket);
   }
 
-  _removeConnection(websocket) {
-    this.connections.delete(websocket);
-    
-    // 只有当所有连接断开时才告警
-    if(this.connections.size === 0) {
-        this.logger.warn("[Server] 浏览器WebSocket断开，等待重连...");
-        this.reconnectGraceTimer = setTimeout(() => {
-          this.logger.error(
-            "[Server] 重连超时。确认连接丢失。"
-          );
-          this.messageQueues.forEach((queue) => queue.close());
-          this.messageQueues.clear();
-          this.emit("connectionLost");
-        }, 5000);
-    }
+  _today() {
+    return new Date().toISOString().slice(0, 10);
+  }
 
-    this.emit("connectionRemoved", websocket);
+  getTokensToday(entry) {
+    const usage = this.tokenUsage.get(entry.name);
+    return usage && usage.day === this._today() ? usage.tokens : 0;
   }
 
-  _handleIncomingMessage(messageData) {
-    try {
-      const parsedMessage = JSON.parse(messageData);
-      const requestId = parsedMessage.request_id;
-      if (!requestId) return;
-      
-      const queue = this.messageQueues.get(requestId);
-      if (queue) {
-        this._routeMessage(parsedMessage, queue);
-      }
-    } catch (error) {
-      // 忽略解析错误，减少噪音
+  // 检查模型权限与限额，通过时计入本分钟请求数；被拒绝时返回 { status, message, retryAfter }
+  checkRequest(entry, model) {
+    if (!this._isModelAllowed(entry, model)) {
+      return { status: 403, message: `API key "${entry.name}" is not allowed to use model ${model}.` };
+    }
+
+    if (entry.tokensPerDay > 0 && this.getTokensToday(entry) >= entry.tokensPerDay) {
+      const nextDay = new Date(`${this._today()}T00:00:00Z`).getTime() + 86400000;
+      return {
+        status: 429,
+        message: `API key "${entry.name}" exceeded its daily token quota (${entry.tokensPerDay}).`,
+        retryAfter: Math.ceil((nextDay - Date.now()) / 1000),
+      };
+    }
+
+    const now = Date.now();
+    const timestamps = (this.requestLog.get(entry.name) || []).filter((t) => t > now - 60000);
+    if (entry.rpm > 0 && timestamps.length >= entry.rpm) {
+      this.requestLog.set(entry.name, timestamps);
+      return {
+        status: 429,
+        message: `API key "${entry.name}" exceeded its rate limit (${entry.rpm} requests per minute).`,
+        retryAfter: Math.max(1, Math.ceil((timestamps[0] + 60000 - now) / 1000)),
+      };
     }
+    timestamps.push(now);
+    this.requestLog.set(entry.name, timestamps);
+    return null;
   }
 
-  _routeMessage(message, queue) {
-    const { event_type } = message;
-    switch (event_type) {
-      case "response_headers":
-      case "chunk":
-      case "error":
-        queue.enqueue(message);
-        break;
-      case "stream_close":
-        queue.enqueue({ type: "STREAM_END" });
-        break;
-      default:
-        break;
+  // 每日 token 用量只保存在内存中，启动时从用量记录恢复当天已用量，重启后限额不会被重置
+  async restoreTokenUsage(usageStore) {
+    const today = this._today();
+    const rows = await usageStore.aggregate({ since: `${today}T00:00:00Z` }, ["key"]);
+    rows.forEach(({ key, totalTokens }) => {
+      if (key && totalTokens > 0) this.tokenUsage.set(key, { day: today, tokens: totalTokens });
+    });
+    if (this.tokenUsage.size > 0) this.logger.info(`[ApiKey] 已从用量记录恢复 ${this.tokenUsage.size} 个 Key 的当日 token 用量。`);
+  }
+
+  recordTokens(entry, tokens) {
+    const today = this._today();
+    const usage = this.tokenUsage.get(entry.name);
+    if (!usage || usage.day !== today) {
+      this.tokenUsage.set(entry.name, { day: today, tokens });
+    } else {
+      usage.tokens += tokens;
     }
   }
-  hasActiveConnections() {
-    return this.connections.size > 0;
+
+  list() {
+    const now = Date.now();
+    return [...this.keys.values()].map((entry) => ({
+      name: entry.name,
+      key: `${entry.key.slice(0, 4)}...${entry.key.slice(-4)}`,
+      rpm: entry.rpm,
+      tokensPerDay: entry.tokensPerDay,
+      allowedModels: entry.allowedModels,
+      enabled: entry.enabled,
+      source: entry.source,
+      createdAt: entry.createdAt,
+      requestsLastMinute: (this.requestLog.get(entry.name) || []).filter((t) => t > now - 60000).length,
+      tokensToday: this.getTokensToday(entry),
+    }));
   }
-  getFirstConnection() {
-    return this.connections.values().next().value;
+
+  createKey(fields) {
+    const name = String(fields.name || "").trim();
+    if (!name) throw new Error("name 不能为空。");
+    if (this.findByName(name)) throw new Error(`Key "${name}" 已存在。`);
+    const key = fields.key ? String(fields.key).trim() : `sk-${crypto.randomBytes(24).toString("hex")}`;
+    if (this.keys.has(key)) throw new Error("该 Key 已存在。");
+
+    const entry = { ...this._normalizeFields(fields), name, key, source: "file", createdAt: new Date().toISOString() };
+    this.keys.set(key, entry);
+    this._save();
+    this.logger.info(`[ApiKey] 已创建 Key "${name}"。`);
+    return entry;
   }
-  createMessageQueue(requestId) {
-    const queue = new MessageQueue();
-    this.messageQueues.set(requestId, queue);
-    return queue;
+
+  updateKey(name, fields) {
+    const entry = this.findByName(name);
+    if (!entry) return null;
+    if (entry.source !== "file") throw new Error("环境变量中的 Key 不可修改。");
+    Object.assign(entry, this._normalizeFields(fields, entry));
+    this._save();
+    this.logger.info(`[ApiKey] 已更新 Key "${name}"。`);
+    return entry;
   }
-  removeMessageQueue(requestId) {
-    const queue = this.messageQueues.get(requestId);
-    if (queue) {
-      queue.close();
-      this.messageQueues.delete(requestId);
-    }
+
+  deleteKey(name) {
+    const entry = this.findByName(name);
+    if (!entry) return false;
+    if (entry.source !== "file") throw new Error("环境变量中的 Key 不可删除。");
+    this.keys.delete(entry.key);
+    this.requestLog.delete(name);
+    this.tokenUsage.delete(name);
+    this._save();
+    this.logger.info(`[ApiKey] 已删除 Key "${name}"。`);
+    return true;
   }
 }
 
-class RequestHandler {
-  constructor(
-    serverSystem,
-    connectionRegistry,
-    logger,
-    browserManager,
-    config,
-    authSource
-  ) {
-    this.serverSystem = serverSystem;
-    this.connectionRegistry = connectionRegistry;
-    this.logger = logger;
-    this.browserManager = browserManager;
-    this.config = config;
-    this.authSource = authSource;
-    this.maxRetries = this.config.maxRetries;
-    this.retryDelay = this.config.retryDelay;
-    this.failureCount = 0;
-    this.usageCount = 0;
+// ===================================================================================
+// MODEL ALIAS MODULE
+// ===================================================================================
 
-    this.activeRequestCount = 0;
-    this.pendingSwitch = false;
-    this.isAuthSwitching = false;
-    this.isSystemBusy = false;
+// 模型别名：把客户端使用的模型名（如 gpt-4o）映射到 Gemini 模型，可附带默认生成参数，保存在 modelAliasesFile
+class ModelAliasManager {
+  constructor(logger, config) {
+    this.logger = logger;
+    this.filePath = config.modelAliasesFile;
+    // alias -> { alias, model, generationConfig }
+    this.aliases = new Map();
+    this._load();
   }
 
-  get currentAuthIndex() {
-    return this.browserManager.currentAuthIndex;
+  // 文件格式: { "gpt-4o": { "model": "gemini-2.5-pro", "generationConfig": {...} }, "fast": "gemini-2.5-flash" }
+  _load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+      Object.entries(stored && typeof stored === "object" ? stored : {}).forEach(([alias, fields]) => {
+        try {
+          this.aliases.set(alias, this._normalize(alias, typeof fields === "string" ? { model: fields } : fields));
+        } catch (error) {
+          this.logger.warn(`[Alias] 忽略无效的别名配置 ${alias}: ${error.message}`);
+        }
+      });
+      this.logger.info(`[Alias] 已加载 ${this.aliases.size} 个模型别名。`);
+    } catch (error) {
+      this.logger.error(`[Alias] 读取 ${this.filePath} 失败: ${error.message}`);
+    }
   }
 
-  _getMaxAuthIndex() {
-    return this.authSource.getMaxIndex();
+  _save() {
+    const stored = {};
+    this.aliases.forEach(({ alias, ...fields }) => { stored[alias] = fields; });
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(stored, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
   }
 
-  _getNextAuthIndex() {
-    const available = this.authSource.availableIndices;
-    if (available.length === 0) return null;
-
-    const currentIndexInArray = available.indexOf(this.currentAuthIndex);
-    if (currentIndexInArray === -1) {
-      return available[0];
+  // 别名和目标模型都会拼进请求路径，不能包含 "/" 或 ":"
+  _normalize(alias, fields) {
+    const name = String(alias || "").trim();
+    if (!name || /[/:\s]/.test(name)) throw new Error("别名不能为空，且不能包含 /、: 或空白字符。");
+    const model = String((fields && fields.model) || "").trim().replace(/^models\//, "");
+    if (!model || /[/:\s]/.test(model)) throw new Error("model 不能为空，且不能包含 /、: 或空白字符。");
+    const generationConfig = fields.generationConfig ?? null;
+    if (generationConfig !== null && (typeof generationConfig !== "object" || Array.isArray(generationConfig))) {
+      throw new Error("generationConfig 必须是对象。");
     }
-    const nextIndexInArray = (currentIndexInArray + 1) % available.length;
-    return available[nextIndexInArray];
+    return { alias: name, model, generationConfig };
   }
 
-  async _tryExecutePendingSwitch() {
-    if (this.pendingSwitch && this.activeRequestCount === 0 && !this.isAuthSwitching) {
-      this.logger.info(`[Auth] ⚡ 闲置触发账号轮换...`);
-      try {
-        await this._switchToNextAuth();
-      } catch (err) {
-        this.logger.error(`[Auth] 轮换失败: ${err.message}`);
-      } finally {
-        this.pendingSwitch = false;
-      }
-    }
+  resolve(model) {
+    return this.aliases.get(model) || null;
+  }
+
+  list() {
+    return [...this.aliases.values()];
   }
 
-  async _switchToNextAuth() {
-    if (this.isAuthSwitching) return { success: false, reason: "Busy" };
+  setAlias(alias, fields) {
+    const entry = this._normalize(alias, fields || {});
+    const existed = this.aliases.has(entry.alias);
+    this.aliases.set(entry.alias, entry);
+    this._save();
+    this.logger.info(`[Alias] 已${existed ? "更新" : "创建"}模型别名 ${entry.alias} -> ${entry.model}。`);
+    return entry;
+  }
 
-    this.isSystemBusy = true;
-    this.isAuthSwitching = true;
+  deleteAlias(alias) {
+    if (!this.aliases.delete(alias)) return false;
+    this._save();
+    this.logger.info(`[Alias] 已删除模型别名 ${alias}。`);
+    return true;
+  }
+}
 
-    try {
-      const previousAuthIndex = this.currentAuthIndex;
-      const nextAuthIndex = this._getNextAuthIndex();
+// ===================================================================================
+// USAGE ACCOUNTING MODULE
+// ===================================================================================
 
-      this.logger.info(`🔄 [Auth] 正在切换: #${previousAuthIndex} -> #${nextAuthIndex}`);
+// 每个请求一行 JSON，追加写入 usageLogFile，查询时流式读取并聚合。
+// 跨天后当前文件归档为 usage.YYYY-MM-DD.jsonl，超过 retentionDays 的归档自动删除
+class UsageStore {
+  constructor(logger, filePath, retentionDays = 0) {
+    this.logger = logger;
+    this.filePath = filePath;
+    this.retentionDays = retentionDays;
+    this.stream = null;
+    this.groupFields = ["day", "key", "account", "model", "endpoint"];
+    // 当前文件中记录所属的日期（UTC），以最后写入时间为准
+    this.currentDay = fs.existsSync(filePath) ? fs.statSync(filePath).mtime.toISOString().slice(0, 10) : null;
+    this._rotate(new Date().toISOString().slice(0, 10));
+  }
 
+  // 当前文件属于更早的日期时归档，并清理过期的归档
+  _rotate(day) {
+    if (this.currentDay && this.currentDay !== day && fs.existsSync(this.filePath)) {
+      if (this.stream) this.stream.end();
+      this.stream = null;
       try {
-        await this.browserManager.switchAccount(nextAuthIndex);
-        this.failureCount = 0;
-        this.usageCount = 0;
-        return { success: true, newIndex: this.currentAuthIndex };
-      } catch (error) {
-        this.logger.error(`❌ [Auth] 切换失败，尝试回退...`);
-        try {
-          await this.browserManager.launchOrSwitchContext(previousAuthIndex);
-          this.failureCount = 0;
-          this.usageCount = 0;
-          return {
-            success: false,
-            fallback: true,
-            newIndex: this.currentAuthIndex,
-          };
-        } catch (fallbackError) {
-          this.logger.error(`❌ [Auth] 致命: 回退也失败了！`);
-          throw fallbackError;
+        const target = this._archivePath(this.currentDay);
+        // 同一天的归档已存在（例如已追加过迟到的记录）时追加到原归档
+        if (fs.existsSync(target)) {
+          fs.appendFileSync(target, fs.readFileSync(this.filePath));
+          fs.unlinkSync(this.filePath);
+        } else {
+          fs.renameSync(this.filePath, target);
         }
+      } catch (error) {
+        this.logger.error(`[Usage] 归档 ${this.filePath} 失败: ${error.message}`);
       }
-    } finally {
-      this.isAuthSwitching = false;
-      this.isSystemBusy = false;
     }
+    this.currentDay = day;
+    if (this.retentionDays <= 0) return;
+    const oldest = new Date(Date.parse(`${day}T00:00:00Z`) - this.retentionDays * 86400000).toISOString().slice(0, 10);
+    this._listArchives().forEach(({ day: archiveDay, file }) => {
+      if (archiveDay >= oldest) return;
+      try {
+        fs.unlinkSync(file);
+        this.logger.info(`[Usage] 已删除过期的用量记录 ${path.basename(file)}`);
+      } catch (error) {
+        this.logger.error(`[Usage] 删除 ${file} 失败: ${error.message}`);
+      }
+    });
   }
 
-  async _switchToSpecificAuth(targetIndex) {
-    if (this.isAuthSwitching) return { success: false, reason: "Busy" };
+  _archivePath(day) {
+    const { dir, name, ext } = path.parse(this.filePath);
+    return path.join(dir, `${name}.${day}${ext}`);
+  }
 
-    if (!this.authSource.availableIndices.includes(targetIndex)) {
-      return { success: false, reason: "Invalid index" };
+  _listArchives() {
+    const { dir, name, ext } = path.parse(this.filePath);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter((file) => file.startsWith(`${name}.`) && file.endsWith(ext))
+      .map((file) => ({ file: path.join(dir, file), day: file.slice(name.length + 1, file.length - ext.length) }))
+      .filter((archive) => /^\d{4}-\d{2}-\d{2}$/.test(archive.day))
+      .sort((a, b) => a.day.localeCompare(b.day));
+  }
+
+  _getStream() {
+    if (!this.stream) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.stream = fs.createWriteStream(this.filePath, { flags: "a" });
+      this.stream.on("error", (error) => {
+        this.logger.error(`[Usage] 写入 ${this.filePath} 失败: ${error.message}`);
+        this.stream = null;
+      });
     }
+    return this.stream;
+  }
 
-    this.isSystemBusy = true;
-    this.isAuthSwitching = true;
+  record(entry) {
     try {
-      await this.browserManager.switchAccount(targetIndex);
-      this.failureCount = 0;
-      this.usageCount = 0;
-      this.pendingSwitch = false;
-      return { success: true, newIndex: this.currentAuthIndex };
+      const day = entry.timestamp.slice(0, 10);
+      const line = JSON.stringify(entry) + "\n";
+      if (day < this.currentDay) {
+        // 跨零点完成或乱序到达的旧记录直接追加到对应日期的归档，不切换当前文件
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this._archivePath(day), line);
+        return;
+      }
+      if (day > this.currentDay) this._rotate(day);
+      this._getStream().write(line);
     } catch (error) {
-      this.logger.error(`❌ [Auth] 切换到 #${targetIndex} 失败: ${error.message}`);
-      throw error;
-    } finally {
-      this.isAuthSwitching = false;
-      this.isSystemBusy = false;
+      this.logger.error(`[Usage] 记录用量失败: ${error.message}`);
     }
   }
 
-  async _handleRequestFailureAndSwitch(errorDetails, res) {
-    if (this.config.failureThreshold > 0) {
-      this.failureCount++;
-      // 只在达到阈值时详细记录，平时只计数
-    }
+  close() {
+    if (!this.stream) return Promise.resolve();
+    const stream = this.stream;
+    this.stream = null;
+    return new Promise((resolve) => stream.end(resolve));
+  }
 
-    const isImmediateSwitch = this.config.immediateSwitchStatusCodes.includes(errorDetails.status);
-    const isThresholdReached = this.config.failureThreshold > 0 && this.failureCount >= this.config.failureThreshold;
+  // filters: { since, until, key, account, model }；groupBy 为 groupFields 的子集
+  async aggregate(filters = {}, groupBy = ["day"]) {
+    const groups = new Map();
+    const since = filters.since ? this._parseTime(filters.since) : null;
+    const until = filters.until ? this._parseTime(filters.until) : null;
+    // 按文件日期跳过查询范围之外的归档，只读取需要的文件
+    const sinceDay = since ? new Date(since).toISOString().slice(0, 10) : null;
+    const untilDay = until ? new Date(until).toISOString().slice(0, 10) : null;
+    const files = this._listArchives()
+      .filter(({ day }) => (!sinceDay || day >= sinceDay) && (!untilDay || day <= untilDay))
+      .map(({ file }) => file);
+    if (fs.existsSync(this.filePath)) files.push(this.filePath);
+
+    for (const file of files) {
+      await this._aggregateFile(file, filters, since, until, groupBy, groups);
+    }
 
-    if (isImmediateSwitch || isThresholdReached) {
-      this.logger.warn(
-        `🔴 [Auth] 触发故障切换 (Code: ${errorDetails.status}, Count: ${this.failureCount}).`
-      );
+    return [...groups.values()].map(({ totalLatencyMs, ...stats }) => ({
+      ...stats,
+      avgLatencyMs: stats.requests > 0 ? Math.round(totalLatencyMs / stats.requests) : 0,
+    }));
+  }
 
+  async _aggregateFile(file, filters, since, until, groupBy, groups) {
+    const reader = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of reader) {
+      if (!line) continue;
+      let entry;
       try {
-        const result = await this._switchToNextAuth();
-        if (result.success) {
-          this.logger.info(`[Auth] ✅ 已自动切换至 #${result.newIndex}`);
-        } else if (result.fallback) {
-          if (res) this._sendErrorChunkToClient(res, "自动切换失败，已回退原账号");
-        }
-      } catch (error) {
-        if (res) this._sendErrorChunkToClient(res, "服务暂时不可用 (Switch Failed)");
+        entry = JSON.parse(line);
+      } catch (e) {
+        continue;
       }
+      const time = Date.parse(entry.timestamp);
+      if (since && time < since) continue;
+      if (until && time > until) continue;
+      if (filters.key && entry.key !== filters.key) continue;
+      if (filters.account !== undefined && filters.account !== "" && String(entry.account) !== String(filters.account)) continue;
+      if (filters.model && entry.model !== filters.model) continue;
+
+      const groupValues = { day: entry.timestamp.slice(0, 10), key: entry.key, account: entry.account, model: entry.model, endpoint: entry.endpoint };
+      const group = {};
+      groupBy.forEach((field) => (group[field] = groupValues[field] ?? null));
+      const groupKey = JSON.stringify(group);
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { ...group, requests: 0, errors: 0, promptTokens: 0, completionTokens: 0, thoughtTokens: 0, totalTokens: 0, resumes: 0, totalLatencyMs: 0 });
+      }
+      const stats = groups.get(groupKey);
+      stats.requests++;
+      if (entry.status >= 400 || entry.outcome !== "success") stats.errors++;
+      stats.promptTokens += entry.promptTokens || 0;
+      stats.completionTokens += entry.completionTokens || 0;
+      stats.thoughtTokens += entry.thoughtTokens || 0;
+      stats.totalTokens += entry.totalTokens || 0;
+      stats.resumes += entry.resumes || 0;
+      stats.totalLatencyMs += entry.latencyMs || 0;
     }
   }
 
-  async processRequest(req, res) {
-    if (this.pendingSwitch || this.isAuthSwitching) {
-      return this._sendErrorResponse(res, 503, "Server rotating accounts...");
-    }
+  _parseTime(value) {
+    return /^\d+$/.test(String(value)) ? parseInt(value, 10) : Date.parse(value);
+  }
+}
 
-    this.activeRequestCount++;
-    const requestId = this._generateRequestId();
-    
-    res.on("close", () => {
-      if (!res.writableEnded) {
-        this._cancelBrowserRequest(requestId);
-      }
-    });
+// ===================================================================================
+// PROXY SERVER MODULE
+// ===================================================================================
 
-    if (!this.connectionRegistry.hasActiveConnections()) {
-      if (this.isSystemBusy) {
-        this.activeRequestCount--;
-        return this._sendErrorResponse(res, 503, "Server recovering...");
-      }
+class LoggingService extends EventEmitter {
+  constructor(serviceName = "ProxyServer") {
+    super();
+    this.serviceName = serviceName;
+    this.logBuffer = [];
+    this.maxBufferSize = 100;
+    // 结构化日志环形缓冲，供查询与实时推送使用；不受 LOG_LEVEL 限制，debug 也会保留
+    this.entries = [];
+    this.nextEntryId = 1;
+    // 每个实时日志订阅者各占一个 "log" 监听器
+    this.setMaxListeners(0);
+
+    this.levels = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40 };
+
+    // 每个请求的 { request_id, account, model }，在异步调用链中自动传递
+    this.contextStorage = new AsyncLocalStorage();
+    // request_id -> 上下文，供浏览器回传的日志查找所属请求
+    this.requestContexts = new Map();
+
+    this.configure({
+      level: process.env.LOG_LEVEL,
+      format: process.env.LOG_FORMAT,
+      file: process.env.LOG_FILE,
+      fileMaxSize: process.env.LOG_FILE_MAX_SIZE,
+      fileMaxFiles: process.env.LOG_FILE_MAX_FILES,
+      bufferSize: process.env.LOG_BUFFER_SIZE,
+    });
+  }
 
-      this.logger.warn("⚠️ [System] 连接丢失，尝试自动恢复...");
-      this.isSystemBusy = true;
+  // 启动时先按环境变量初始化，加载配置文件后再用最终配置覆盖一次
+  configure(options) {
+    this.maxEntries = parseInt(options.bufferSize, 10) || 2000;
+    if (this.entries.length > this.maxEntries) this.entries.splice(0, this.entries.length - this.maxEntries);
+    this.level = this.levels[String(options.level || "info").toUpperCase()] || this.levels.INFO;
+    this.format = options.format === "json" ? "json" : "text";
+
+    if (this.logStream) this.logStream.end();
+    this.logStream = null;
+    this.logFile = options.file || null;
+    this.logFileMaxSize = parseInt(options.fileMaxSize, 10) || 10 * 1024 * 1024;
+    this.logFileMaxFiles = parseInt(options.fileMaxFiles, 10) || 5;
+    this.logFileSize = 0;
+    if (this.logFile) {
       try {
-        await this.browserManager.launchOrSwitchContext(this.currentAuthIndex);
+        fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+        this.logFileSize = fs.existsSync(this.logFile) ? fs.statSync(this.logFile).size : 0;
       } catch (error) {
-        this.activeRequestCount--;
-        this.isSystemBusy = false;
-        return this._sendErrorResponse(res, 503, "Service unavailable");
-      } finally {
-        this.isSystemBusy = false;
+        console.error(`[Logger] 无法使用日志文件 ${this.logFile}: ${error.message}`);
+        this.logFile = null;
       }
     }
+  }
 
-    if (this.isSystemBusy) {
-      this.activeRequestCount--;
-      return this._sendErrorResponse(res, 503, "Server busy");
-    }
-
-    const isGenerativeRequest = req.method === "POST" &&
-      (req.path.includes("generateContent") || req.path.includes("streamGenerateContent"));
+  // context 对象本身作为存储，调用方可在请求结束后读取其中补充的字段
+  runWithContext(context, fn) {
+    return this.contextStorage.run(context, fn);
+  }
 
-    if (this.config.switchOnUses > 0 && isGenerativeRequest && !this.pendingSwitch) {
-      this.usageCount++;
-      if (this.usageCount >= this.config.switchOnUses) {
-        this.pendingSwitch = true;
+  // 向当前请求的上下文补充字段（如生成 request_id、分配账号之后）
+  setContext(fields) {
+    const store = this.contextStorage.getStore();
+    if (!store) return;
+    Object.assign(store, fields);
+    if (store.request_id) {
+      this.requestContexts.set(store.request_id, store);
+      if (this.requestContexts.size > 1000) {
+        this.requestContexts.delete(this.requestContexts.keys().next().value);
       }
     }
+  }
 
-    const proxyRequest = this._buildProxyRequest(req, requestId);
-    if (this.serverSystem.redirect25to30 && proxyRequest.path && proxyRequest.path.includes("gemini-2.5-pro")) {
-      proxyRequest.path = proxyRequest.path.replace("gemini-2.5-pro", "gemini-3-pro-preview");
-    }
+  getRequestContext(requestId) {
+    return this.requestContexts.get(requestId) || null;
+  }
 
-    proxyRequest.is_generative = isGenerativeRequest;
-    const messageQueue = this.connectionRegistry.createMessageQueue(requestId);
-    
-    const wantsStreamByHeader = req.headers.accept && req.headers.accept.includes("text/event-stream");
-    const wantsStreamByPath = req.path.includes(":streamGenerateContent");
-    const wantsStream = wantsStreamByHeader || wantsStreamByPath;
+  _formatMessage(level, message, timestamp, context) {
+    const tags = [];
+    if (context.request_id) tags.push(`#${context.request_id}`);
+    if (context.account !== undefined && context.account !== null) tags.push(`账号#${context.account}`);
+    if (context.model) tags.push(context.model);
+    const contextText = tags.length > 0 ? ` [${tags.join(" ")}]` : "";
+    return `[${level}] ${timestamp} [${this.serviceName}]${contextText} - ${message}`;
+  }
 
-    try {
-      if (wantsStream) {
-        // [优化] 不再打印 "客户端启用流式..." 这类废话，只在真正处理时做事
-        if (this.serverSystem.streamingMode === "fake") {
-          await this._handlePseudoStreamResponse(proxyRequest, messageQueue, req, res);
-        } else {
-          await this._handleRealStreamResponse(proxyRequest, messageQueue, res);
-        }
-      } else {
-        // 这里只是内部逻辑设置，不打印日志，避免误导用户认为是非流转假流
-        proxyRequest.streaming_mode = "fake"; 
-        await this._handleNonStreamResponse(proxyRequest, messageQueue, res);
-      }
-    } catch (error) {
-      this._handleRequestError(error, res);
-    } finally {
-      this.connectionRegistry.removeMessageQueue(requestId);
-      this.activeRequestCount--;
-      if (this.activeRequestCount < 0) this.activeRequestCount = 0;
-      this._tryExecutePendingSwitch();
-    }
+  _formatJson(level, message, timestamp, context) {
+    return JSON.stringify({
+      timestamp,
+      level: level.toLowerCase(),
+      service: this.serviceName,
+      request_id: context.request_id,
+      account: context.account,
+      model: context.model,
+      message,
+    });
   }
 
-  async processOpenAIRequest(req, res) {
-    if (this.pendingSwitch || this.isAuthSwitching) {
-      return this._sendErrorResponse(res, 503, "Server rotating accounts...");
+  _log(level, consoleMethod, message) {
+    const timestamp = new Date().toISOString(); // 可以简化时间格式，例如 .split('T')[1].split('.')[0]
+    const context = this.contextStorage.getStore() || {};
+    const formatted = this._formatMessage(level, message, timestamp, context);
+    this._recordEntry(level, message, timestamp, context, formatted);
+
+    if (this.levels[level] < this.level) return;
+    this.logBuffer.push(formatted);
+    if (this.logBuffer.length > this.maxBufferSize) {
+      this.logBuffer.shift();
     }
 
-    this.activeRequestCount++;
+    const line = this.format === "json" ? this._formatJson(level, message, timestamp, context) : formatted;
+    consoleMethod(line);
+    if (this.logFile) this._writeToFile(line);
+  }
 
-    if (this.config.switchOnUses > 0 && !this.pendingSwitch) {
-      this.usageCount++;
-      if (this.usageCount >= this.config.switchOnUses) {
-        this.pendingSwitch = true;
-      }
+  _recordEntry(level, message, timestamp, context, text) {
+    const entry = {
+      id: this.nextEntryId++,
+      timestamp,
+      level: level.toLowerCase(),
+      service: this.serviceName,
+      request_id: context.request_id ?? null,
+      account: context.account ?? null,
+      model: context.model ?? null,
+      message,
+      text,
+    };
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
     }
+    this.emit("log", entry);
+  }
 
-    const requestId = this._generateRequestId();
-    const isOpenAIStream = req.body.stream === true;
-    let model = req.body.model || "gemini-1.5-pro-latest";
+  // filters: { level(最低级别), account, request_id, since, until, q }
+  matchesFilter(entry, filters = {}) {
+    if (filters.level && this.levels[entry.level.toUpperCase()] < (this.levels[String(filters.level).toUpperCase()] || 0)) return false;
+    if (filters.account !== undefined && filters.account !== "" && String(entry.account) !== String(filters.account)) return false;
+    if (filters.request_id && entry.request_id !== filters.request_id) return false;
+    const time = Date.parse(entry.timestamp);
+    if (filters.since && time < this._parseTime(filters.since)) return false;
+    if (filters.until && time > this._parseTime(filters.until)) return false;
+    if (filters.q && !entry.message.includes(filters.q)) return false;
+    return true;
+  }
 
-    if (this.serverSystem.redirect25to30 && model === "gemini-2.5-pro") {
-      model = "gemini-3-pro-preview";
-    }
+  // 支持毫秒时间戳或 ISO 字符串
+  _parseTime(value) {
+    return /^\d+$/.test(String(value)) ? parseInt(value, 10) : Date.parse(value);
+  }
 
-    let googleBody;
-    try {
-      googleBody = this._translateOpenAIToGoogle(req.body, model);
-    } catch (error) {
-      this.activeRequestCount--;
-      return this._sendErrorResponse(res, 400, "Invalid OpenAI request format.");
+  queryLogs(filters = {}, limit = 200) {
+    const result = [];
+    for (let i = this.entries.length - 1; i >= 0 && result.length < limit; i--) {
+      if (this.matchesFilter(this.entries[i], filters)) result.push(this.entries[i]);
     }
+    return result.reverse();
+  }
 
-    const googleEndpoint = isOpenAIStream ? "streamGenerateContent" : "generateContent";
-    const proxyRequest = {
-      path: `/v1beta/models/${model}:${googleEndpoint}`,
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      query_params: isOpenAIStream ? { alt: "sse" } : {},
-      body: JSON.stringify(googleBody),
-      request_id: requestId,
-      is_generative: true,
-      streaming_mode: "real",
-      client_wants_stream: true,
-      resume_on_prohibit: this.serverSystem.enableResume,
-      resume_limit: this.serverSystem.resumeLimit
-    };
-
-    const messageQueue = this.connectionRegistry.createMessageQueue(requestId);
+  _getLogStream() {
+    if (!this.logStream) {
+      // 同步打开文件，保证轮转时重命名的是已打开的文件，之前缓冲的日志会写入轮转后的文件
+      const stream = fs.createWriteStream(null, { fd: fs.openSync(this.logFile, "a") });
+      // 写入失败只丢弃当前流，下一条日志会重新打开文件
+      stream.on("error", (error) => {
+        console.error(`[Logger] 写入日志文件 ${this.logFile} 失败: ${error.message}`);
+        if (this.logStream === stream) this.logStream = null;
+      });
+      this.logStream = stream;
+    }
+    return this.logStream;
+  }
 
+  // 超过大小上限时轮转: app.log -> app.log.1 -> ... -> app.log.N，最旧的 app.log.N 被覆盖，之后重新打开 app.log
+  _writeToFile(line) {
     try {
-      this._forwardRequest(proxyRequest);
-      const initialMessage = await messageQueue.dequeue();
-
-      if (initialMessage.event_type === "error") {
-        this.logger.error(
-          `[Request] OAI 请求错误: ${initialMessage.status} - ${initialMessage.message}`
-        );
-        await this._handleRequestFailureAndSwitch(initialMessage, res);
-        
-        if (isOpenAIStream) {
-          if (!res.writableEnded) { res.write("data: [DONE]\n\n"); res.end(); }
-        } else {
-          this._sendErrorResponse(res, initialMessage.status || 500, initialMessage.message);
+      if (this.logFileSize >= this.logFileMaxSize) {
+        if (this.logStream) this.logStream.end();
+        this.logStream = null;
+        for (let i = this.logFileMaxFiles - 1; i >= 1; i--) {
+          const source = `${this.logFile}.${i}`;
+          if (fs.existsSync(source)) fs.renameSync(source, `${this.logFile}.${i + 1}`);
         }
-        return;
+        if (fs.existsSync(this.logFile)) fs.renameSync(this.logFile, `${this.logFile}.1`);
+        this.logFileSize = 0;
       }
+      const data = line + "\n";
+      this._getLogStream().write(data);
+      this.logFileSize += Buffer.byteLength(data);
+    } catch (error) {
+      console.error(`[Logger] 写入日志文件失败: ${error.message}`);
+    }
+  }
 
-      if (this.failureCount > 0) this.failureCount = 0;
-      let capturedFinishReason = "UNKNOWN";
+  close() {
+    if (!this.logStream) return Promise.resolve();
+    const stream = this.logStream;
+    this.logStream = null;
+    return new Promise((resolve) => stream.end(resolve));
+  }
 
-      if (isOpenAIStream) {
-        res.status(200).set({
-          "Content-Type": "text/event-stream",
-          "Cache-Control": "no-cache",
-          Connection: "keep-alive",
-        });
+  info(message) {
+    this._log("INFO", console.log, message);
+  }
+  error(message) {
+    this._log("ERROR", console.error, message);
+  }
+  warn(message) {
+    this._log("WARN", console.warn, message);
+  }
+  debug(message) {
+    this._log("DEBUG", console.debug, message);
+  }
+}
 
-        let lastGoogleChunk = "";
-        while (true) {
-          const message = await messageQueue.dequeue(300000);
-          if (message.type === "STREAM_END") {
-            res.write("data: [DONE]\n\n");
-            break;
-          }
-          if (message.data) {
-            const match = message.data.match(/"finishReason"\s*:\s*"([^"]+)"/);
-            if (match && match[1]) capturedFinishReason = match[1];
+class ConversationStore {
+  constructor(maxEntries = 500, ttlMs = 6 * 60 * 60 * 1000) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+  }
+  // owner 为创建该对话的 API Key 名称，其他 Key 无法读取或续接
+  save(responseId, messages, owner = null) {
+    this.entries.delete(responseId);
+    this.entries.set(responseId, { messages, owner, createdAt: Date.now() });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+  get(responseId, owner = null) {
+    const entry = this.entries.get(responseId);
+    if (!entry || entry.owner !== owner) return null;
+    if (Date.now() - entry.createdAt > this.ttlMs) {
+      this.entries.delete(responseId);
+      return null;
+    }
+    return entry.messages;
+  }
+}
 
-            const translatedChunk = this._translateGoogleToOpenAIStream(message.data, model);
-            if (translatedChunk) res.write(translatedChunk);
-            lastGoogleChunk = message.data;
-          }
-        }
-        
-        // 尝试从最后的数据中再次提取 finishReason
-        if(capturedFinishReason === "UNKNOWN" && lastGoogleChunk) {
-             try {
-                 const json = JSON.parse(lastGoogleChunk.replace('data: ', '').trim());
+// OpenAI 接口以链接形式返回图片（IMAGE_OUTPUT_FORMAT=url）时使用的短期内存缓存
+class ImageStore {
+  constructor(ttlMs = 600000, maxEntries = 100) {
+    this.entries = new Map();
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+  }
+  save(mimeType, base64Data) {
+    this._prune();
+    const id = crypto.randomBytes(16).toString("hex");
+    this.entries.set(id, { mimeType, buffer: Buffer.from(base64Data, "base64"), createdAt: Date.now() });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return id;
+  }
+  get(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    if (Date.now() - entry.createdAt > this.ttlMs) {
+      this.entries.delete(id);
+      return null;
+    }
+    return entry;
+  }
+  _prune() {
+    const now = Date.now();
+    for (const [id, entry] of this.entries) {
+      if (now - entry.createdAt <= this.ttlMs) break;
+      this.entries.delete(id);
+    }
+  }
+}
+
+class MessageQueue extends EventEmitter {
+  constructor(timeoutMs = 600000) {
+    super();
+    this.messages = [];
+    this.waitingResolvers = [];
+    this.defaultTimeout = timeoutMs;
+    this.closed = false;
+  }
+  enqueue(message) {
+    if (this.closed) return;
+    if (this.waitingResolvers.length > 0) {
+      const resolver = this.waitingResolvers.shift();
+      resolver.resolve(message);
+    } else {
+      this.messages.push(message);
+    }
+  }
+  async dequeue(timeoutMs = this.defaultTimeout) {
+    if (this.closed) {
+      throw new Error("Queue is closed");
+    }
+    return new Promise((resolve, reject) => {
+      if (this.messages.length > 0) {
+        resolve(this.messages.shift());
+        return;
+      }
+      const resolver = { resolve, reject };
+      this.waitingResolvers.push(resolver);
+      const timeoutId = setTimeout(() => {
+        const index = this.waitingResolvers.indexOf(resolver);
+        if (index !== -1) {
+          this.waitingResolvers.splice(index, 1);
+          reject(new Error("Queue timeout"));
+        }
+      }, timeoutMs);
+      resolver.timeoutId = timeoutId;
+    });
+  }
+  close() {
+    this.closed = true;
+    this.waitingResolvers.forEach((resolver) => {
+      clearTimeout(resolver.timeoutId);
+      resolver.reject(new Error("Queue closed"));
+    });
+    this.waitingResolvers = [];
+    this.messages = [];
+  }
+}
+
+class ConnectionRegistry extends EventEmitter {
+  constructor(logger, metrics, config) {
+    super();
+    this.logger = logger;
+    this.config = config;
+    this.metrics = metrics;
+    // authIndex -> websocket，池中每个账号一条连接；未携带身份的旧客户端记为 null
+    this.connections = new Map();
+    this.messageQueues = new Map();
+    // requestId -> authIndex，决定请求、取消指令发往哪条连接
+    this.requestOwners = new Map();
+    this.reconnectGraceTimers = new Map();
+    // requestId -> 上游 usageMetadata 中的 Token 数（流式响应取最后一次出现的值）
+    this.requestUsage = new Map();
+    // requestId -> { count, usage }，浏览器端每次续写时记录，usage 为之前各次尝试的 Token 数之和
+    this.requestResumes = new Map();
+
+    this.metrics.counter("aisbuild_upstream_responses_total", "Upstream responses relayed by the browser, by status code.");
+    this.metrics.counter("aisbuild_websocket_events_total", "Browser WebSocket connection events.");
+    this.metrics.counter("aisbuild_resumes_total", "Continuations of truncated responses, by finish reason.");
+    this.metrics.gauge("aisbuild_websocket_connected", "Browser WebSocket connections by account.", (set) => {
+      this.connections.forEach((ws, authIndex) => set({ account: authIndex ?? "unknown" }, 1));
+    });
+  }
+  addConnection(websocket, clientInfo) {
+    const authIndex = clientInfo.authIndex ?? null;
+    if (this.reconnectGraceTimers.has(authIndex)) {
+      clearTimeout(this.reconnectGraceTimers.get(authIndex));
+      this.reconnectGraceTimers.delete(authIndex);
+    }
+
+    this.connections.set(authIndex, websocket);
+    this.logger.info(`[Server] 浏览器WebSocket已连接 (账号 #${authIndex ?? "?"})。`);
+
+    websocket.on("message", (data) =>
+      this._handleIncomingMessage(data.toString())
+    );
+    websocket.on("close", () => this._removeConnection(websocket, authIndex));
+    websocket.on("error", (error) =>
+      this.logger.error(`[Server] WS错误 (账号 #${authIndex ?? "?"}): ${error.message}`)
+    );
+    this.metrics.inc("aisbuild_websocket_events_total", { event: "connected" });
+    this.emit("connectionAdded", authIndex);
+  }
+
+  _removeConnection(websocket, authIndex) {
+    // 同一账号已经有新连接顶替时，旧连接的关闭不影响任何请求
+    if (this.connections.get(authIndex) !== websocket) return;
+    this.connections.delete(authIndex);
+
+    this.logger.warn(`[Server] 浏览器WebSocket断开 (账号 #${authIndex ?? "?"})，等待重连...`);
+    this.metrics.inc("aisbuild_websocket_events_total", { event: "disconnected" });
+    this.reconnectGraceTimers.set(authIndex, setTimeout(() => {
+      this.reconnectGraceTimers.delete(authIndex);
+      this.logger.error(
+        `[Server] 账号 #${authIndex ?? "?"} 重连超时。确认连接丢失。`
+      );
+      this.requestOwners.forEach((owner, requestId) => {
+        if (owner === authIndex) this.removeMessageQueue(requestId);
+      });
+      this.metrics.inc("aisbuild_websocket_events_total", { event: "lost" });
+      this.emit("connectionLost", authIndex);
+    }, this.config.reconnectGracePeriod));
+
+    this.emit("connectionRemoved", authIndex);
+  }
+
+  _handleIncomingMessage(messageData) {
+    try {
+      const parsedMessage = JSON.parse(messageData);
+      const requestId = parsedMessage.request_id;
+      if (!requestId) return;
+      
+      const queue = this.messageQueues.get(requestId);
+      if (queue) {
+        this._routeMessage(parsedMessage, queue);
+      }
+    } catch (error) {
+      // 忽略解析错误，减少噪音
+    }
+  }
+
+  _routeMessage(message, queue) {
+    const { event_type } = message;
+    switch (event_type) {
+      case "response_headers":
+      case "error":
+        this.metrics.inc("aisbuild_upstream_responses_total", { status: message.status || "unknown" });
+        queue.enqueue(message);
+        break;
+      case "chunk":
+        this._captureUsage(message);
+        queue.enqueue(message);
+        break;
+      case "stream_close":
+        queue.enqueue({ type: "STREAM_END" });
+        break;
+      case "resume_marker":
+        this._recordResume(message);
+        break;
+      default:
+        break;
+    }
+  }
+  _captureUsage(message) {
+    if (typeof message.data !== "string" || !message.data.includes("usageMetadata")) return;
+    const usage = this.requestUsage.get(message.request_id) || {};
+    for (const field of ["promptTokenCount", "candidatesTokenCount", "thoughtsTokenCount", "cachedContentTokenCount", "totalTokenCount"]) {
+      const matches = [...message.data.matchAll(new RegExp(`"${field}"\\s*:\\s*(\\d+)`, "g"))];
+      if (matches.length > 0) usage[field] = parseInt(matches[matches.length - 1][1], 10);
+    }
+    this.requestUsage.set(message.request_id, usage);
+    if (this.requestUsage.size > 1000) {
+      this.requestUsage.delete(this.requestUsage.keys().next().value);
+    }
+  }
+  // 续写前的那次尝试已经结束，把它的 Token 数计入累计值，后续 chunk 重新计数
+  _recordResume(message) {
+    const resume = this.requestResumes.get(message.request_id) || { count: 0, usage: {} };
+    resume.count++;
+    const usage = this.requestUsage.get(message.request_id) || {};
+    Object.entries(usage).forEach(([field, value]) => {
+      resume.usage[field] = (resume.usage[field] || 0) + value;
+    });
+    this.requestUsage.delete(message.request_id);
+    this.requestResumes.set(message.request_id, resume);
+    if (this.requestResumes.size > 1000) {
+      this.requestResumes.delete(this.requestResumes.keys().next().value);
+    }
+
+    this.metrics.inc("aisbuild_resumes_total", { reason: message.reason || "unknown" });
+    const context = this.logger.getRequestContext(message.request_id);
+    this.logger.runWithContext({ ...context }, () =>
+      this.logger.info(
+        `🔁 [Resume] 第 ${message.attempt} 次续写 (原因: ${message.reason || "未知"}, 已生成思考 ${message.thought_chars || 0} 字符 / 正文 ${message.text_chars || 0} 字符)`
+      )
+    );
+  }
+  // 读取并清除请求的 Token 用量（含续写前各次尝试），请求结束后调用
+  takeRequestUsage(requestId) {
+    const usage = this.requestUsage.get(requestId) || null;
+    this.requestUsage.delete(requestId);
+    const resume = this.requestResumes.get(requestId);
+    if (!resume) return usage;
+    const total = { ...resume.usage };
+    Object.entries(usage || {}).forEach(([field, value]) => {
+      total[field] = (total[field] || 0) + value;
+    });
+    return total;
+  }
+  // 同一请求内多次调用上游（如逐张生成图片）时，写回累加后的用量
+  setRequestUsage(requestId, usage) {
+    if (Object.keys(usage).length > 0) this.requestUsage.set(requestId, usage);
+  }
+  // 读取并清除请求的续写次数，请求结束后调用
+  takeRequestResumes(requestId) {
+    const resume = this.requestResumes.get(requestId);
+    this.requestResumes.delete(requestId);
+    return resume ? resume.count : 0;
+  }
+  hasActiveConnections(authIndex) {
+    if (authIndex === undefined) return this.connections.size > 0;
+    return this.connections.has(authIndex);
+  }
+  getConnection(authIndex) {
+    return this.connections.get(authIndex) || this.connections.get(null);
+  }
+  getConnectionForRequest(requestId) {
+    if (!this.requestOwners.has(requestId)) return undefined;
+    return this.getConnection(this.requestOwners.get(requestId));
+  }
+  getRequestOwner(requestId) {
+    return this.requestOwners.get(requestId);
+  }
+  waitForConnection(authIndex, timeoutMs = this.config.connectionWaitTimeout) {
+    if (this.hasActiveConnections(authIndex)) return Promise.resolve(true);
+    return new Promise((resolve) => {
+      const onAdded = (addedIndex) => {
+        if (addedIndex !== authIndex) return;
+        clearTimeout(timer);
+        this.off("connectionAdded", onAdded);
+        resolve(true);
+      };
+      const timer = setTimeout(() => {
+        this.off("connectionAdded", onAdded);
+        resolve(false);
+      }, timeoutMs);
+      this.on("connectionAdded", onAdded);
+    });
+  }
+  createMessageQueue(requestId, authIndex) {
+    const queue = new MessageQueue(this.config.requestTimeout);
+    this.messageQueues.set(requestId, queue);
+    this.requestOwners.set(requestId, authIndex);
+    return queue;
+  }
+  removeMessageQueue(requestId) {
+    const queue = this.messageQueues.get(requestId);
+    if (queue) {
+      queue.close();
+      this.messageQueues.delete(requestId);
+    }
+    this.requestOwners.delete(requestId);
+  }
+}
+
+// 请求未指定 model 时各接口使用的默认模型，Key 的模型权限也按它检查
+const DEFAULT_MODELS = {
+  openai: "gemini-1.5-pro-latest",
+  anthropic: "gemini-2.5-pro",
+  responses: "gemini-2.5-pro",
+  embeddings: "gemini-embedding-001",
+  images: "gemini-2.5-flash-image",
+};
+
+// OpenAI 的 file / input_audio 内容只带文件名或格式时，按扩展名推断媒体类型
+const MEDIA_TYPES_BY_EXTENSION = {
+  pdf: "application/pdf",
+  json: "application/json",
+  txt: "text/plain",
+  md: "text/markdown",
+  csv: "text/csv",
+  html: "text/html",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+  gif: "image/gif",
+  heic: "image/heic",
+  mp3: "audio/mp3",
+  wav: "audio/wav",
+  aac: "audio/aac",
+  ogg: "audio/ogg",
+  flac: "audio/flac",
+  aiff: "audio/aiff",
+  mp4: "video/mp4",
+  mpeg: "video/mpeg",
+  mov: "video/quicktime",
+  webm: "video/webm",
+  avi: "video/x-msvideo",
+};
+
+// 远程图片下载禁止访问的地址段：本机、内网、链路本地、组播与保留地址。BlockList 会按 IPv4 规则检查 IPv4 映射的 IPv6 地址（::ffff:a.b.c.d）
+const BLOCKED_REMOTE_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.168.0.0", 16], ["224.0.0.0", 4], ["240.0.0.0", 4],
+].forEach(([address, prefix]) => BLOCKED_REMOTE_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+].forEach(([address, prefix]) => BLOCKED_REMOTE_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+class RequestHandler {
+  constructor(
+    serverSystem,
+    connectionRegistry,
+    logger,
+    browserManager,
+    config,
+    authSource,
+    metrics
+  ) {
+    this.serverSystem = serverSystem;
+    this.connectionRegistry = connectionRegistry;
+    this.logger = logger;
+    this.browserManager = browserManager;
+    this.config = config;
+    this.authSource = authSource;
+    this.metrics = metrics;
+    this.maxRetries = this.config.maxRetries;
+    this.retryDelay = this.config.retryDelay;
+
+    // authIndex -> { usageCount, failureCount, activeRequestCount, pendingSwitch, pendingReload, isSwitching }
+    this.accountStates = new Map();
+    this.isSystemBusy = false;
+    // 轮换/恢复期间等待账号的请求: { res, sendError, resolve, timer }
+    this.waitQueue = [];
+
+    // tool_call_id -> thoughtSignature，Gemini 3 多轮工具调用需要原样回传
+    this.toolCallSignatures = new Map();
+    // Responses API 的 previous_response_id 对话历史
+    this.conversationStore = new ConversationStore();
+    // 上游 /v1beta/models 返回的模型名，获取模型列表时更新
+    this.knownModels = new Set();
+    this.imageStore = new ImageStore(this.config.imageUrlTtl);
+    // 远程图片的连接在建立时解析并检查地址，连接只会发往检查过的 IP，不会被 DNS 重绑定绕过
+    this.remoteImageAgent = new Agent({
+      connect: { lookup: (hostname, options, callback) => this._lookupPublicAddress(hostname, options, callback) },
+    });
+    // upload_id / files/xxx -> 创建它们的账号
+    this.fileOwners = new Map();
+
+    this._registerMetrics();
+  }
+
+  _registerMetrics() {
+    const latencyBuckets = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+    this.metrics.counter("aisbuild_requests_total", "Proxied requests by route, model and outcome.");
+    this.metrics.histogram("aisbuild_request_duration_seconds", "Request duration by route, model and outcome.", latencyBuckets);
+    this.metrics.histogram("aisbuild_time_to_first_chunk_seconds", "Time until the first response body chunk is written.", latencyBuckets);
+    this.metrics.counter("aisbuild_account_switches_total", "Account switches by reason.");
+    this.metrics.counter("aisbuild_account_requests_total", "Generation requests served per account.");
+    this.metrics.counter("aisbuild_account_failures_total", "Upstream failures per account.");
+    this.metrics.gauge("aisbuild_inflight_requests", "Requests currently being served per account.", (set) => {
+      this.browserManager.activeIndices.forEach((index) =>
+        set({ account: index }, this._getAccountState(index).activeRequestCount)
+      );
+    });
+    this.metrics.gauge("aisbuild_queued_requests", "Requests waiting for an available account.", (set) => set({}, this.waitQueue.length));
+  }
+
+  _getRequestModel(route, req) {
+    if (route === "native") {
+      const match = req.path.match(/\/models\/([^/:]+)/);
+      return match ? match[1] : "-";
+    }
+    if (req.body && typeof req.body.model === "string" && req.body.model) return req.body.model;
+    return DEFAULT_MODELS[route] || "-";
+  }
+
+  // 指标的 model 标签只使用别名表或上游模型列表中的模型，其余归为 other，避免客户端随意传入的名称产生无限多的时间序列
+  _getMetricsModelLabel(route, req) {
+    const requested = this._getRequestModel(route, req);
+    if (requested === "-") return requested;
+    const model = this._resolveModel(requested.replace(/^models\//, "")).model;
+    const isAlias = !!this.serverSystem.modelAliasManager.resolve(requested);
+    return isAlias || this.knownModels.has(model) ? model : "other";
+  }
+
+  // 按响应生命周期统计请求数、耗时与首包时间（": keep-alive" 心跳不算首包）
+  _trackRequestMetrics(route, req, res) {
+    const startTime = Date.now();
+    const model = this._getMetricsModelLabel(route, req);
+
+    let firstChunkRecorded = false;
+    const recordFirstChunk = (chunk) => {
+      if (firstChunkRecorded || !chunk || res.statusCode >= 400) return;
+      if (typeof chunk === "string" && chunk.startsWith(":")) return;
+      firstChunkRecorded = true;
+      this.metrics.observe("aisbuild_time_to_first_chunk_seconds", { route, model }, (Date.now() - startTime) / 1000);
+    };
+    const originalWrite = res.write;
+    const originalEnd = res.end;
+    res.write = function (chunk, ...args) {
+      recordFirstChunk(chunk);
+      return originalWrite.call(this, chunk, ...args);
+    };
+    res.end = function (chunk, ...args) {
+      recordFirstChunk(chunk);
+      return originalEnd.call(this, chunk, ...args);
+    };
+
+    let recorded = false;
+    const record = (outcome) => {
+      if (recorded) return;
+      recorded = true;
+      const labels = { route, model, outcome };
+      this.metrics.inc("aisbuild_requests_total", labels);
+      this.metrics.observe("aisbuild_request_duration_seconds", labels, (Date.now() - startTime) / 1000);
+    };
+    res.on("finish", () => record(res.statusCode >= 400 ? "error" : "success"));
+    res.on("close", () => record("aborted"));
+  }
+
+  get currentAuthIndex() {
+    return this.browserManager.currentAuthIndex;
+  }
+
+  // 以下三个只读属性保留单账号视角（池中第一个账号），供状态页兼容使用
+  get usageCount() {
+    return this._getAccountState(this.currentAuthIndex).usageCount;
+  }
+
+  get failureCount() {
+    return this._getAccountState(this.currentAuthIndex).failureCount;
+  }
+
+  get activeRequestCount() {
+    let total = 0;
+    this.accountStates.forEach((state) => (total += state.activeRequestCount));
+    return total;
+  }
+
+  _getAccountState(authIndex) {
+    if (!this.accountStates.has(authIndex)) {
+      this.accountStates.set(authIndex, {
+        usageCount: 0,
+        failureCount: 0,
+        activeRequestCount: 0,
+        pendingSwitch: false,
+        // 挂起轮换的原因，用于指标统计
+        switchReason: null,
+        // 认证文件变更后待执行的动作: null | "reload" | "remove"
+        pendingReload: null,
+        isSwitching: false,
+      });
+    }
+    return this.accountStates.get(authIndex);
+  }
+
+  _resetAccountState(authIndex) {
+    const state = this._getAccountState(authIndex);
+    state.usageCount = 0;
+    state.failureCount = 0;
+    state.pendingSwitch = false;
+    state.switchReason = null;
+  }
+
+  _isAccountReady(authIndex) {
+    const state = this._getAccountState(authIndex);
+    return !state.isSwitching && !state.pendingSwitch && !state.pendingReload &&
+      this.connectionRegistry.hasActiveConnections(authIndex);
+  }
+
+  _isRotating() {
+    return this.browserManager.activeIndices.some((index) => {
+      const state = this._getAccountState(index);
+      return state.isSwitching || state.pendingSwitch || !!state.pendingReload;
+    });
+  }
+
+  // 在池中挑选当前最空闲的就绪账号（优先健康账号），没有可用账号时返回 null
+  _acquireAccount(preferredIndex = null) {
+    const readyIndices = this.browserManager.activeIndices.filter((index) => this._isAccountReady(index));
+    const healthyIndices = readyIndices.filter((index) => this.authSource.isHealthy(index));
+    const candidates = healthyIndices.length > 0 ? healthyIndices : readyIndices;
+
+    // 上传会话和已上传的文件只对创建它们的账号可见，该账号在线时优先使用
+    let selected = readyIndices.includes(preferredIndex) ? preferredIndex : null;
+    if (selected === null) {
+      for (const index of candidates) {
+        if (selected === null ||
+          this._getAccountState(index).activeRequestCount < this._getAccountState(selected).activeRequestCount) {
+          selected = index;
+        }
+      }
+    }
+    if (selected !== null) this._getAccountState(selected).activeRequestCount++;
+    return selected;
+  }
+
+  // 没有就绪账号时（轮换/恢复中）进入等待队列，超出长度或等待时间才返回 503
+  async _acquireAccountForRequest(res, sendError, preferredIndex = null) {
+    const authIndex = this._acquireAccount(preferredIndex);
+    if (authIndex !== null) return authIndex;
+
+    const isDisconnected = !this.connectionRegistry.hasActiveConnections() || this.browserManager.activeIndices.length === 0;
+    if (isDisconnected && !this.isSystemBusy) {
+      this.logger.warn("⚠️ [System] 连接丢失，尝试自动恢复...");
+      this._restorePool().catch((error) =>
+        this.logger.error(`[System] 自动恢复失败: ${error.message}`)
+      );
+    }
+
+    const reason = isDisconnected ? "Server recovering..." : "Server rotating accounts...";
+    return this._waitForAccount(res, sendError, reason);
+  }
+
+  _waitForAccount(res, sendError, reason) {
+    const { queueMaxWait, queueMaxLength } = this.config;
+    if (queueMaxWait <= 0 || this.waitQueue.length >= queueMaxLength) {
+      if (queueMaxWait > 0) this.logger.warn(`[Queue] 等待队列已满 (${queueMaxLength})，拒绝请求。`);
+      this._sendRetryAfter(res, sendError, queueMaxWait > 0 ? "Request queue is full" : reason);
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+      const waiter = { res, sendError, resolve, timer: null };
+      waiter.timer = setTimeout(() => {
+        this._removeWaiter(waiter);
+        this.logger.warn(`[Queue] 请求等待超过 ${queueMaxWait}ms，返回 503。`);
+        this._sendRetryAfter(res, sendError, `${reason} (queue timeout)`);
+        resolve(null);
+      }, queueMaxWait);
+      // 客户端在排队期间断开时直接出队
+      res.on("close", () => {
+        if (this._removeWaiter(waiter)) {
+          clearTimeout(waiter.timer);
+          resolve(null);
+        }
+      });
+      this.waitQueue.push(waiter);
+      this.logger.info(`[Queue] 暂无可用账号，请求进入等待队列 (${this.waitQueue.length}/${queueMaxLength})`);
+    });
+  }
+
+  _removeWaiter(waiter) {
+    const position = this.waitQueue.indexOf(waiter);
+    if (position === -1) return false;
+    this.waitQueue.splice(position, 1);
+    return true;
+  }
+
+  _sendRetryAfter(res, sendError, message) {
+    if (!res.headersSent) {
+      res.set("Retry-After", String(Math.max(1, Math.ceil(this.config.queueMaxWait / 1000))));
+    }
+    sendError(503, message);
+  }
+
+  // 按 FIFO 顺序把就绪账号分配给排队中的请求
+  _drainWaitQueue() {
+    while (this.waitQueue.length > 0) {
+      const authIndex = this._acquireAccount();
+      if (authIndex === null) break;
+      const waiter = this.waitQueue.shift();
+      clearTimeout(waiter.timer);
+      waiter.resolve(authIndex);
+    }
+
+    // 恢复结束后仍没有任何账号时，不再让请求空等到超时
+    if (this.waitQueue.length > 0 && this.browserManager.activeIndices.length === 0 && !this.isSystemBusy) {
+      for (const waiter of this.waitQueue.splice(0)) {
+        clearTimeout(waiter.timer);
+        this._sendRetryAfter(waiter.res, waiter.sendError, "Service unavailable");
+        waiter.resolve(null);
+      }
+    }
+  }
+
+  _releaseAccount(authIndex) {
+    const state = this._getAccountState(authIndex);
+    state.activeRequestCount--;
+    if (state.activeRequestCount < 0) state.activeRequestCount = 0;
+    this._tryExecutePendingReload(authIndex);
+    this._tryExecutePendingSwitch(authIndex);
+  }
+
+  _recordAccountUsage(authIndex) {
+    const state = this._getAccountState(authIndex);
+    this.metrics.inc("aisbuild_account_requests_total", { account: authIndex });
+    if (this.config.switchOnUses > 0 && !state.pendingSwitch) {
+      state.usageCount++;
+      if (state.usageCount >= this.config.switchOnUses) {
+        state.pendingSwitch = true;
+        state.switchReason = "usage_limit";
+      }
+    }
+  }
+
+  _resetFailureCount(authIndex) {
+    const state = this._getAccountState(authIndex);
+    if (state.failureCount > 0) state.failureCount = 0;
+  }
+
+  // 修复账号池：重载已断线的上下文，再按顺序补齐到 browserPoolSize
+  async _restorePool() {
+    const isSwitching = this.browserManager.activeIndices.some((index) => this._getAccountState(index).isSwitching);
+    if (this.isSystemBusy || isSwitching) return;
+
+    this.isSystemBusy = true;
+    try {
+      for (const index of this.browserManager.activeIndices) {
+        if (this.connectionRegistry.hasActiveConnections(index)) continue;
+        if (await this.connectionRegistry.waitForConnection(index, 5000)) continue;
+        try {
+          await this.browserManager.launchOrSwitchContext(index);
+          this._resetAccountState(index);
+          await this.connectionRegistry.waitForConnection(index);
+        } catch (error) {
+          this.logger.error(`[System] 账号 #${index} 重载失败: ${error.message}`);
+        }
+      }
+
+      const available = this.authSource.availableIndices;
+      const targetSize = Math.min(this.config.browserPoolSize, available.length);
+      for (const index of available) {
+        if (this.browserManager.activeIndices.length >= targetSize) break;
+        if (this.browserManager.activeIndices.includes(index)) continue;
+        if (!this.authSource.isHealthy(index)) continue;
+        try {
+          await this.browserManager.launchOrSwitchContext(index);
+          this.accountStates.delete(index);
+          await this.connectionRegistry.waitForConnection(index);
+        } catch (error) {
+          this.logger.error(`[System] 账号 #${index} 启动失败: ${error.message}`);
+        }
+      }
+
+      if (this.browserManager.activeIndices.length === 0) {
+        this.logger.error("[System] 自动恢复失败: 所有账号启动失败。");
+      }
+    } finally {
+      this.isSystemBusy = false;
+      this._drainWaitQueue();
+    }
+  }
+
+  _getMaxAuthIndex() {
+    return this.authSource.getMaxIndex();
+  }
+
+  _getNextAuthIndex(fromIndex = this.currentAuthIndex) {
+    const available = this.authSource.availableIndices;
+    if (available.length === 0) return null;
+
+    // 跳过已在池中服务的其他账号；全部在池中时重载自身
+    const activeIndices = this.browserManager.activeIndices;
+    const currentIndexInArray = available.indexOf(fromIndex);
+    const candidates = [];
+    for (let step = 1; step <= available.length; step++) {
+      const candidate = available[(currentIndexInArray + step) % available.length];
+      if (candidate === fromIndex || !activeIndices.includes(candidate)) candidates.push(candidate);
+    }
+
+    const healthyCandidate = candidates.find((index) => this.authSource.isHealthy(index));
+    if (healthyCandidate !== undefined) return healthyCandidate;
+
+    // 全部不可用时选择冷却最早结束的账号，Cookie 失效的账号不再尝试
+    const coolingCandidates = candidates
+      .filter((index) => this.authSource.getHealth(index).until)
+      .sort((a, b) => this.authSource.getHealth(a).until - this.authSource.getHealth(b).until);
+    if (coolingCandidates.length > 0) {
+      this.logger.warn(`[Auth] 没有健康账号可用，暂时使用冷却中的账号 #${coolingCandidates[0]}。`);
+      return coolingCandidates[0];
+    }
+    return fromIndex;
+  }
+
+  async _tryExecutePendingSwitch(authIndex) {
+    const state = this._getAccountState(authIndex);
+    if (state.pendingSwitch && state.activeRequestCount === 0 && !state.isSwitching) {
+      this.logger.info(`[Auth] ⚡ 账号 #${authIndex} 闲置，触发账号轮换...`);
+      try {
+        await this._switchToNextAuth(authIndex, state.switchReason || "usage_limit");
+      } catch (err) {
+        this.logger.error(`[Auth] 轮换失败: ${err.message}`);
+      } finally {
+        state.pendingSwitch = false;
+        state.switchReason = null;
+        this._drainWaitQueue();
+      }
+    }
+  }
+
+  // 认证源热重载：新增账号补进池中，池内账号的文件被更新或移除时等其空闲后再重载/下线
+  async _applyAuthChange({ added, removed, updated }) {
+    const activeIndices = this.browserManager.activeIndices;
+    for (const index of [...removed, ...updated]) {
+      if (!activeIndices.includes(index)) {
+        this.accountStates.delete(index);
+        continue;
+      }
+      const state = this._getAccountState(index);
+      state.pendingReload = removed.includes(index) ? "remove" : "reload";
+      if (state.activeRequestCount > 0) {
+        this.logger.info(`[Auth] 账号 #${index} 仍有 ${state.activeRequestCount} 个请求进行中，稍后重载。`);
+      }
+      await this._tryExecutePendingReload(index);
+    }
+    if (added.length > 0) await this._restorePool();
+  }
+
+  async _tryExecutePendingReload(authIndex) {
+    const state = this._getAccountState(authIndex);
+    if (!state.pendingReload || state.activeRequestCount > 0 || state.isSwitching) return;
+
+    const action = state.pendingReload;
+    state.pendingReload = null;
+    state.isSwitching = true;
+    try {
+      if (action === "remove") {
+        this.logger.info(`[Auth] 账号 #${authIndex} 的认证文件已移除，正在下线...`);
+        await this.browserManager.closeContext(authIndex);
+      } else {
+        this.logger.info(`[Auth] 账号 #${authIndex} 的认证文件已更新，正在重新加载...`);
+        await this.browserManager.launchOrSwitchContext(authIndex);
+        this._resetAccountState(authIndex);
+        await this.connectionRegistry.waitForConnection(authIndex);
+      }
+    } catch (error) {
+      this.logger.error(`[Auth] 账号 #${authIndex} 重载失败: ${error.message}`);
+    } finally {
+      state.isSwitching = false;
+      this._drainWaitQueue();
+    }
+
+    // 账号已离开池时由其他可用账号补位
+    if (!this.browserManager.activeIndices.includes(authIndex)) {
+      this.accountStates.delete(authIndex);
+      await this._restorePool();
+    }
+  }
+
+  // reason: usage_limit | failure_threshold | immediate_code | manual
+  async _switchToNextAuth(fromIndex = this.currentAuthIndex, reason = "manual") {
+    const state = this._getAccountState(fromIndex);
+    if (state.isSwitching) return { success: false, reason: "Busy" };
+
+    state.isSwitching = true;
+    this.metrics.inc("aisbuild_account_switches_total", { reason });
+
+    try {
+      const nextAuthIndex = this._getNextAuthIndex(fromIndex);
+
+      this.logger.info(`🔄 [Auth] 正在切换: #${fromIndex} -> #${nextAuthIndex}`);
+
+      try {
+        await this.browserManager.switchAccount(fromIndex, nextAuthIndex);
+        if (nextAuthIndex !== fromIndex) this.accountStates.delete(fromIndex);
+        this._resetAccountState(nextAuthIndex);
+        await this.connectionRegistry.waitForConnection(nextAuthIndex);
+        return { success: true, newIndex: nextAuthIndex };
+      } catch (error) {
+        this.logger.error(`❌ [Auth] 切换失败，尝试回退...`);
+        try {
+          await this.browserManager.launchOrSwitchContext(fromIndex);
+          this._resetAccountState(fromIndex);
+          await this.connectionRegistry.waitForConnection(fromIndex);
+          return {
+            success: false,
+            fallback: true,
+            newIndex: fromIndex,
+          };
+        } catch (fallbackError) {
+          this.logger.error(`❌ [Auth] 致命: 回退也失败了！`);
+          throw fallbackError;
+        }
+      }
+    } finally {
+      state.isSwitching = false;
+      this._drainWaitQueue();
+    }
+  }
+
+  async _switchToSpecificAuth(targetIndex, fromIndex = this.currentAuthIndex) {
+    if (!this.authSource.availableIndices.includes(targetIndex)) {
+      return { success: false, reason: "Invalid index" };
+    }
+    if (this.browserManager.activeIndices.includes(targetIndex) && targetIndex !== fromIndex) {
+      return { success: false, reason: "Account already active in pool" };
+    }
+
+    const state = this._getAccountState(fromIndex);
+    if (state.isSwitching) return { success: false, reason: "Busy" };
+
+    state.isSwitching = true;
+    this.metrics.inc("aisbuild_account_switches_total", { reason: "manual" });
+    try {
+      await this.browserManager.switchAccount(fromIndex, targetIndex);
+      if (targetIndex !== fromIndex) this.accountStates.delete(fromIndex);
+      this._resetAccountState(targetIndex);
+      await this.connectionRegistry.waitForConnection(targetIndex);
+      return { success: true, newIndex: targetIndex };
+    } catch (error) {
+      this.logger.error(`❌ [Auth] 切换到 #${targetIndex} 失败: ${error.message}`);
+      throw error;
+    } finally {
+      state.isSwitching = false;
+      this._drainWaitQueue();
+    }
+  }
+
+  async _handleRequestFailureAndSwitch(errorDetails, res, authIndex) {
+    const state = this._getAccountState(authIndex);
+    this.metrics.inc("aisbuild_account_failures_total", { account: authIndex });
+    if (this.config.failureThreshold > 0) {
+      state.failureCount++;
+      // 只在达到阈值时详细记录，平时只计数
+    }
+
+    if (errorDetails.status === 429) {
+      this.authSource.markUnhealthy(authIndex, "cooldown", "上游返回 429", this.config.authCooldown);
+    }
+
+    const isImmediateSwitch = this.config.immediateSwitchStatusCodes.includes(errorDetails.status);
+    const isThresholdReached = this.config.failureThreshold > 0 && state.failureCount >= this.config.failureThreshold;
+
+    if (isImmediateSwitch || isThresholdReached) {
+      this.logger.warn(
+        `🔴 [Auth] 账号 #${authIndex} 触发故障切换 (Code: ${errorDetails.status}, Count: ${state.failureCount}).`
+      );
+
+      const reason = isImmediateSwitch ? "immediate_code" : "failure_threshold";
+      // 其他请求仍在使用该账号时先挂起，等它们结束后再轮换
+      if (state.activeRequestCount > 1) {
+        state.pendingSwitch = true;
+        state.switchReason = reason;
+        return;
+      }
+
+      try {
+        const result = await this._switchToNextAuth(authIndex, reason);
+        if (result.success) {
+          this.logger.info(`[Auth] ✅ 已自动切换至 #${result.newIndex}`);
+        } else if (result.fallback) {
+          if (res) this._sendErrorChunkToClient(res, "自动切换失败，已回退原账号");
+        }
+      } catch (error) {
+        if (res) this._sendErrorChunkToClient(res, "服务暂时不可用 (Switch Failed)");
+      }
+    }
+  }
+
+  async processRequest(req, res) {
+    const fileOwner = this._findFileOwner(req);
+    const authIndex = await this._acquireAccountForRequest(
+      res,
+      (status, message) => this._sendErrorResponse(res, status, message),
+      fileOwner
+    );
+    if (authIndex === null) return;
+    if (fileOwner !== null && fileOwner !== authIndex) {
+      this.logger.warn(`[Files] 请求引用的文件属于账号 #${fileOwner}，该账号当前不可用，改用账号 #${authIndex}`);
+    }
+
+    const requestId = this._generateRequestId();
+    this.logger.setContext({ request_id: requestId, account: authIndex });
+    
+    res.on("close", () => {
+      if (!res.writableEnded) {
+        this._cancelBrowserRequest(requestId);
+      }
+    });
+
+    const isGenerativeRequest = req.method === "POST" &&
+      (req.path.includes("generateContent") || req.path.includes("streamGenerateContent"));
+    const isEmbeddingRequest = req.method === "POST" &&
+      (req.path.includes(":embedContent") || req.path.includes(":batchEmbedContents"));
+
+    if (isGenerativeRequest || isEmbeddingRequest) {
+      this._recordAccountUsage(authIndex);
+    }
+
+    const proxyRequest = this._buildProxyRequest(req, requestId);
+    const modelMatch = proxyRequest.path && proxyRequest.path.match(/\/models\/([^/:]+)/);
+    if (modelMatch) {
+      const resolved = this._resolveModel(modelMatch[1]);
+      proxyRequest.path = proxyRequest.path.replace(modelMatch[0], `/models/${resolved.model}`);
+      if (isGenerativeRequest && resolved.generationConfig) {
+        try {
+          const body = JSON.parse(proxyRequest.body);
+          this._applyModelDefaults(body, resolved.generationConfig);
+          proxyRequest.body = JSON.stringify(body);
+        } catch (e) { }
+      }
+    }
+
+    proxyRequest.is_generative = isGenerativeRequest;
+    const messageQueue = this.connectionRegistry.createMessageQueue(requestId, authIndex);
+    
+    const wantsStreamByHeader = req.headers.accept && req.headers.accept.includes("text/event-stream");
+    const wantsStreamByPath = req.path.includes(":streamGenerateContent");
+    const wantsStream = wantsStreamByHeader || wantsStreamByPath;
+    // Files API 的上传（/upload/）与文件内容下载需要原样保留状态码、响应头和二进制内容
+    const isFileTransfer = req.path.startsWith("/upload/") || req.path.startsWith("/download/") || req.query.alt === "media";
+
+    try {
+      if (isFileTransfer) {
+        await this._handleFileTransferResponse(proxyRequest, messageQueue, req, res);
+      } else if (wantsStream) {
+        // [优化] 不再打印 "客户端启用流式..." 这类废话，只在真正处理时做事
+        if (this.serverSystem.streamingMode === "fake") {
+          await this._handlePseudoStreamResponse(proxyRequest, messageQueue, req, res);
+        } else {
+          await this._handleRealStreamResponse(proxyRequest, messageQueue, res);
+        }
+      } else {
+        // 这里只是内部逻辑设置，不打印日志，避免误导用户认为是非流转假流
+        proxyRequest.streaming_mode = "fake"; 
+        await this._handleNonStreamResponse(proxyRequest, messageQueue, res);
+      }
+    } catch (error) {
+      this._handleRequestError(error, res);
+    } finally {
+      this.connectionRegistry.removeMessageQueue(requestId);
+      this._releaseAccount(authIndex);
+    }
+  }
+
+  async processOpenAIRequest(req, res) {
+    // 远程图片可能下载较久，在占用账号之前完成
+    try {
+      await this._inlineRemoteImages(req.body);
+    } catch (error) {
+      return this._sendErrorResponse(res, 400, `Invalid OpenAI request format: ${error.message}`);
+    }
+
+    const authIndex = await this._acquireAccountForRequest(res, (status, message) =>
+      this._sendErrorResponse(res, status, message)
+    );
+    if (authIndex === null) return;
+    this._recordAccountUsage(authIndex);
+
+    const requestId = this._generateRequestId();
+    this.logger.setContext({ request_id: requestId, account: authIndex });
+    const isOpenAIStream = req.body.stream === true;
+    const resolved = this._resolveModel(req.body.model || DEFAULT_MODELS.openai);
+    const model = resolved.model;
+
+    let googleBody;
+    try {
+      googleBody = this._translateOpenAIToGoogle(req.body, model);
+      this._applyModelDefaults(googleBody, resolved.generationConfig);
+    } catch (error) {
+      this._releaseAccount(authIndex);
+      return this._sendErrorResponse(res, 400, `Invalid OpenAI request format: ${error.message}`);
+    }
+
+    // 假流式：上游一次性返回完整结果，等待期间发送心跳，结束后再按固定节奏拆分成 chunk 输出
+    const isFakeStream = isOpenAIStream && this.serverSystem.streamingMode === "fake";
+    const googleEndpoint = isOpenAIStream ? "streamGenerateContent" : "generateContent";
+    const proxyRequest = {
+      path: `/v1beta/models/${model}:${googleEndpoint}`,
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      query_params: isOpenAIStream ? { alt: "sse" } : {},
+      body: JSON.stringify(googleBody),
+      request_id: requestId,
+      is_generative: true,
+      streaming_mode: isFakeStream ? "fake" : "real",
+      client_wants_stream: true,
+      resume_on_prohibit: this.serverSystem.enableResume,
+      resume_limit: this.serverSystem.resumeLimit
+    };
+
+    const messageQueue = this.connectionRegistry.createMessageQueue(requestId, authIndex);
+    let connectionMaintainer = null;
+
+    try {
+      if (isFakeStream) {
+        this.logger.info(`[Request] OAI 使用 Fake Stream 模式处理...`);
+        res.status(200).set({
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+        });
+        connectionMaintainer = setInterval(() => {
+          if (!res.writableEnded) res.write(": keep-alive\n\n");
+        }, 3000);
+      }
+
+      this._forwardRequest(proxyRequest);
+      const initialMessage = await messageQueue.dequeue();
+
+      if (initialMessage.event_type === "error") {
+        this.logger.error(
+          `[Request] OAI 请求错误: ${initialMessage.status} - ${initialMessage.message}`
+        );
+        await this._handleRequestFailureAndSwitch(initialMessage, null, authIndex);
+        
+        if (isFakeStream) {
+          this._sendErrorChunkToClient(res, initialMessage.message);
+          if (!res.writableEnded) { res.write("data: [DONE]\n\n"); res.end(); }
+        } else if (isOpenAIStream) {
+          if (!res.writableEnded) { res.write("data: [DONE]\n\n"); res.end(); }
+        } else {
+          this._sendErrorResponse(res, initialMessage.status || 500, initialMessage.message);
+        }
+        return;
+      }
+
+      this._resetFailureCount(authIndex);
+      let capturedFinishReason = "UNKNOWN";
+
+      if (isFakeStream) {
+        let googleResponse;
+        try {
+          let fullBody = "";
+          while (true) {
+            const message = await messageQueue.dequeue(this.config.streamChunkTimeout);
+            if (message.type === "STREAM_END") break;
+            if (message.event_type === "chunk" && message.data) fullBody += message.data;
+          }
+          googleResponse = JSON.parse(fullBody);
+        } catch (error) {
+          // 响应头已发出，无法再改状态码，只能以错误 chunk + [DONE] 通知客户端
+          clearInterval(connectionMaintainer);
+          this.logger.error(`[Request] OAI Fake Stream 失败: ${error.message}`);
+          this._sendErrorChunkToClient(res, error.message);
+          if (!res.writableEnded) { res.write("data: [DONE]\n\n"); res.end(); }
+          return;
+        }
+        clearInterval(connectionMaintainer);
+
+        const includeUsage = req.body.stream_options?.include_usage === true;
+        const streamState = {
+          id: `chatcmpl-${requestId}`,
+          toolCallIndex: 0,
+          hasToolCalls: false,
+          includeUsage: includeUsage,
+          usageMetadata: null,
+          baseUrl: this._getPublicBaseUrl(req),
+        };
+        for (const googleChunk of this._splitGoogleResponse(googleResponse)) {
+          if (res.writableEnded) break;
+          const translatedChunk = this._translateGoogleToOpenAIStream(JSON.stringify(googleChunk), model, streamState);
+          if (translatedChunk) res.write(translatedChunk);
+          if (this.config.fakeStreamChunkDelay > 0) {
+            await new Promise((resolve) => setTimeout(resolve, this.config.fakeStreamChunkDelay));
+          }
+        }
+        if (includeUsage) {
+          res.write(`data: ${JSON.stringify({
+            id: streamState.id,
+            object: "chat.completion.chunk",
+            created: Math.floor(Date.now() / 1000),
+            model: model,
+            choices: [],
+            usage: this._translateGoogleUsageToOpenAI(googleResponse.usageMetadata),
+          })}\n\n`);
+        }
+        res.write("data: [DONE]\n\n");
+
+        capturedFinishReason = googleResponse.candidates?.[0]?.finishReason || "UNKNOWN";
+        this.logger.info(`✅ [Request] OAI Fake Stream End (Reason: ${capturedFinishReason})`);
+
+      } else if (isOpenAIStream) {
+        res.status(200).set({
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+        });
+
+        let lastGoogleChunk = "";
+        // 上游分块可能截断在 SSE 行中间（大段工具参数尤其常见），按行缓冲后再翻译
+        let sseBuffer = "";
+        const includeUsage = req.body.stream_options?.include_usage === true;
+        const streamState = {
+          id: `chatcmpl-${requestId}`,
+          toolCallIndex: 0,
+          hasToolCalls: false,
+          includeUsage: includeUsage,
+          usageMetadata: null,
+          baseUrl: this._getPublicBaseUrl(req),
+        };
+        const writeTranslatedLines = (lines) => {
+          for (const line of lines) {
+            if (!line.startsWith("data:")) continue;
+            const translatedChunk = this._translateGoogleToOpenAIStream(line, model, streamState);
+            if (translatedChunk) res.write(translatedChunk);
+            lastGoogleChunk = line;
+          }
+        };
+
+        while (true) {
+          const message = await messageQueue.dequeue(this.config.streamChunkTimeout);
+          if (message.type === "STREAM_END") {
+            writeTranslatedLines([sseBuffer]);
+            if (includeUsage) {
+              res.write(`data: ${JSON.stringify({
+                id: streamState.id,
+                object: "chat.completion.chunk",
+                created: Math.floor(Date.now() / 1000),
+                model: model,
+                choices: [],
+                usage: this._translateGoogleUsageToOpenAI(streamState.usageMetadata),
+              })}\n\n`);
+            }
+            res.write("data: [DONE]\n\n");
+            break;
+          }
+          if (message.data) {
+            const match = message.data.match(/"finishReason"\s*:\s*"([^"]+)"/);
+            if (match && match[1]) capturedFinishReason = match[1];
+
+            sseBuffer += message.data;
+            const lines = sseBuffer.split(/\r?\n/);
+            sseBuffer = lines.pop();
+            writeTranslatedLines(lines);
+          }
+        }
+        
+        // 尝试从最后的数据中再次提取 finishReason
+        if(capturedFinishReason === "UNKNOWN" && lastGoogleChunk) {
+             try {
+                 const json = JSON.parse(lastGoogleChunk.replace('data: ', '').trim());
                  if(json.candidates?.[0]?.finishReason) capturedFinishReason = json.candidates[0].finishReason;
              } catch(e) {}
         }
 
-        this.logger.info(`✅ [Request] OAI Stream End (Reason: ${capturedFinishReason})`);
+        this.logger.info(`✅ [Request] OAI Stream End (Reason: ${capturedFinishReason})`);
+
+      } else {
+        let fullBody = "";
+        while (true) {
+          const message = await messageQueue.dequeue(this.config.streamChunkTimeout);
+          if (message.type === "STREAM_END") break;
+          if (message.event_type === "chunk" && message.data) fullBody += message.data;
+        }
+
+        const googleResponse = JSON.parse(fullBody);
+        const candidate = googleResponse.candidates?.[0];
+        let responseContent = "";
+        let responseReasoning = "";
+        const toolCalls = [];
+        const images = [];
+
+        if (candidate?.content?.parts) {
+          candidate.content.parts.forEach(p => {
+            if (p.functionCall) {
+              toolCalls.push(this._buildOpenAIToolCall(p.functionCall, p.thoughtSignature));
+            } else if (p.inlineData) {
+              const image = this._formatOpenAIImage(p.inlineData, this._getPublicBaseUrl(req));
+              if (image.part) images.push(image.part);
+              else responseContent += image.text;
+            } else if (p.thought) {
+              responseReasoning += (p.text || "");
+            } else {
+              responseContent += (p.text || "");
+            }
+          });
+        }
+
+        const finishReason = candidate?.finishReason || "UNKNOWN";
+        this.logger.info(`✅ [Request] OAI Response End (Reason: ${finishReason})`);
+
+        res.status(200).json({
+          id: `chatcmpl-${requestId}`,
+          object: "chat.completion",
+          created: Math.floor(Date.now() / 1000),
+          model: model,
+          choices: [{
+            index: 0,
+            message: {
+              role: "assistant",
+              content: toolCalls.length > 0 ? (responseContent || null) : responseContent,
+              reasoning_content: responseReasoning || null,
+              ...(toolCalls.length > 0 && { tool_calls: toolCalls }),
+              ...(images.length > 0 && { images }),
+            },
+            finish_reason: this._mapFinishReasonToOpenAI(finishReason, toolCalls.length > 0),
+          }],
+          usage: this._translateGoogleUsageToOpenAI(googleResponse.usageMetadata),
+        });
+      }
+    } catch (error) {
+      this._handleRequestError(error, res);
+    } finally {
+      clearInterval(connectionMaintainer);
+      this.connectionRegistry.removeMessageQueue(requestId);
+      if (!res.writableEnded) res.end();
+      this._releaseAccount(authIndex);
+    }
+  }
+
+  // 把完整的 Google 响应拆成若干个只含一小段文本的响应，思考、正文按 fakeStreamChunkSize 个字符切分，
+  // 工具调用与图片各自单独一块，最后一块携带 finishReason 与 usageMetadata
+  _splitGoogleResponse(googleResponse) {
+    const candidate = googleResponse.candidates?.[0];
+    const chunkSize = Math.max(1, this.config.fakeStreamChunkSize);
+    const chunks = [];
+    (candidate?.content?.parts || []).forEach((part) => {
+      if (typeof part.text !== "string" || part.functionCall) {
+        chunks.push({ candidates: [{ content: { role: "model", parts: [part] } }] });
+        return;
+      }
+      // 按码点切分，避免拆开代理对
+      const characters = Array.from(part.text);
+      for (let i = 0; i < characters.length; i += chunkSize) {
+        const textPart = { ...part, text: characters.slice(i, i + chunkSize).join("") };
+        // 签名只需随第一段发送一次
+        if (i > 0) delete textPart.thoughtSignature;
+        chunks.push({ candidates: [{ content: { role: "model", parts: [textPart] } }] });
+      }
+    });
+    chunks.push({
+      candidates: [{ content: { role: "model", parts: [] }, finishReason: candidate?.finishReason || "STOP" }],
+      ...(googleResponse.usageMetadata && { usageMetadata: googleResponse.usageMetadata }),
+    });
+    return chunks;
+  }
+
+  async processAnthropicRequest(req, res) {
+    const authIndex = await this._acquireAccountForRequest(res, (status, message) =>
+      this._sendAnthropicError(res, status, message)
+    );
+    if (authIndex === null) return;
+    this._recordAccountUsage(authIndex);
+
+    const requestId = this._generateRequestId();
+    this.logger.setContext({ request_id: requestId, account: authIndex });
+    const isStream = req.body.stream === true;
+    const resolved = this._resolveModel(req.body.model || DEFAULT_MODELS.anthropic);
+    const model = resolved.model;
+
+    let googleBody;
+    try {
+      googleBody = this._translateAnthropicToGoogle(req.body, model);
+      this._applyModelDefaults(googleBody, resolved.generationConfig);
+    } catch (error) {
+      this._releaseAccount(authIndex);
+      return this._sendAnthropicError(res, 400, `Invalid Anthropic request format: ${error.message}`);
+    }
+
+    const googleEndpoint = isStream ? "streamGenerateContent" : "generateContent";
+    const proxyRequest = {
+      path: `/v1beta/models/${model}:${googleEndpoint}`,
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      query_params: isStream ? { alt: "sse" } : {},
+      body: JSON.stringify(googleBody),
+      request_id: requestId,
+      is_generative: true,
+      streaming_mode: "real",
+      client_wants_stream: true,
+      resume_on_prohibit: this.serverSystem.enableResume,
+      resume_limit: this.serverSystem.resumeLimit
+    };
+
+    const messageQueue = this.connectionRegistry.createMessageQueue(requestId, authIndex);
+
+    try {
+      this._forwardRequest(proxyRequest);
+      const initialMessage = await messageQueue.dequeue();
+
+      if (initialMessage.event_type === "error") {
+        this.logger.error(
+          `[Request] Anthropic 请求错误: ${initialMessage.status} - ${initialMessage.message}`
+        );
+        await this._handleRequestFailureAndSwitch(initialMessage, null, authIndex);
+        this._sendAnthropicError(res, initialMessage.status || 500, initialMessage.message);
+        return;
+      }
+
+      this._resetFailureCount(authIndex);
+      const messageId = `msg_${requestId}`;
+
+      if (isStream) {
+        res.status(200).set({
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+        });
+
+        const streamState = {
+          blockIndex: -1,
+          openBlockType: null,
+          pendingSignature: null,
+          hasToolUse: false,
+          finishReason: null,
+          usageMetadata: null,
+        };
+        this._writeAnthropicEvent(res, "message_start", {
+          type: "message_start",
+          message: {
+            id: messageId,
+            type: "message",
+            role: "assistant",
+            model: model,
+            content: [],
+            stop_reason: null,
+            stop_sequence: null,
+            usage: { input_tokens: 0, output_tokens: 0 },
+          },
+        });
+
+        let sseBuffer = "";
+        const translateLines = (lines) => {
+          for (const line of lines) {
+            if (!line.startsWith("data:")) continue;
+            const events = this._translateGoogleToAnthropicStream(line, streamState);
+            if (events) res.write(events);
+          }
+        };
+
+        while (true) {
+          const message = await messageQueue.dequeue(this.config.streamChunkTimeout);
+          if (message.type === "STREAM_END") {
+            translateLines([sseBuffer]);
+            break;
+          }
+          if (message.data) {
+            sseBuffer += message.data;
+            const lines = sseBuffer.split(/\r?\n/);
+            sseBuffer = lines.pop();
+            translateLines(lines);
+          }
+        }
+
+        this._closeAnthropicBlock(res, streamState);
+        const usage = this._translateGoogleUsageToAnthropic(streamState.usageMetadata);
+        this._writeAnthropicEvent(res, "message_delta", {
+          type: "message_delta",
+          delta: {
+            stop_reason: this._mapFinishReasonToAnthropic(streamState.finishReason, streamState.hasToolUse),
+            stop_sequence: null,
+          },
+          usage: usage,
+        });
+        this._writeAnthropicEvent(res, "message_stop", { type: "message_stop" });
+
+        this.logger.info(`✅ [Request] Anthropic Stream End (Reason: ${streamState.finishReason || "UNKNOWN"})`);
+      } else {
+        let fullBody = "";
+        while (true) {
+          const message = await messageQueue.dequeue(this.config.streamChunkTimeout);
+          if (message.type === "STREAM_END") break;
+          if (message.event_type === "chunk" && message.data) fullBody += message.data;
+        }
+
+        const googleResponse = JSON.parse(fullBody);
+        const candidate = googleResponse.candidates?.[0];
+        const contentBlocks = [];
+        let hasToolUse = false;
+
+        for (const p of candidate?.content?.parts || []) {
+          const lastBlock = contentBlocks[contentBlocks.length - 1];
+          if (p.functionCall) {
+            contentBlocks.push(this._buildAnthropicToolUse(p.functionCall, p.thoughtSignature));
+            hasToolUse = true;
+          } else if (p.thought) {
+            if (lastBlock && lastBlock.type === "thinking") {
+              lastBlock.thinking += p.text || "";
+              if (p.thoughtSignature) lastBlock.signature = p.thoughtSignature;
+            } else {
+              contentBlocks.push({ type: "thinking", thinking: p.text || "", signature: p.thoughtSignature || "" });
+            }
+          } else {
+            const text = p.inlineData
+              ? `![Generated Image](data:${p.inlineData.mimeType};base64,${p.inlineData.data})\n`
+              : (p.text || "");
+            if (lastBlock && lastBlock.type === "text") lastBlock.text += text;
+            else contentBlocks.push({ type: "text", text });
+          }
+        }
+
+        const finishReason = candidate?.finishReason || "UNKNOWN";
+        this.logger.info(`✅ [Request] Anthropic Response End (Reason: ${finishReason})`);
+
+        res.status(200).json({
+          id: messageId,
+          type: "message",
+          role: "assistant",
+          model: model,
+          content: contentBlocks,
+          stop_reason: this._mapFinishReasonToAnthropic(finishReason, hasToolUse),
+          stop_sequence: null,
+          usage: this._translateGoogleUsageToAnthropic(googleResponse.usageMetadata),
+        });
+      }
+    } catch (error) {
+      if (res.headersSent) {
+        this._writeAnthropicEvent(res, "error", {
+          type: "error",
+          error: { type: "api_error", message: error.message },
+        });
+      } else {
+        this.logger.error(`[Request] 异常: ${error.message}`);
+        this._sendAnthropicError(res, error.message.includes("Timeout") ? 504 : 500, error.message);
+      }
+    } finally {
+      this.connectionRegistry.removeMessageQueue(requestId);
+      if (!res.writableEnded) res.end();
+      this._releaseAccount(authIndex);
+    }
+  }
+
+  async processResponsesRequest(req, res) {
+    // 先转换为 Chat 格式并下载远程图片，避免在下载期间占用账号
+    let chatBody;
+    try {
+      chatBody = this._translateResponsesToChat(req.body, req.apiKey?.name ?? null);
+      await this._inlineRemoteImages(chatBody);
+    } catch (error) {
+      return this._sendErrorResponse(res, error.status || 400, `Invalid Responses request format: ${error.message}`);
+    }
+
+    const authIndex = await this._acquireAccountForRequest(res, (status, message) =>
+      this._sendErrorResponse(res, status, message)
+    );
+    if (authIndex === null) return;
+    this._recordAccountUsage(authIndex);
+
+    const requestId = this._generateRequestId();
+    this.logger.setContext({ request_id: requestId, account: authIndex });
+    const isStream = req.body.stream === true;
+    const resolved = this._resolveModel(req.body.model || DEFAULT_MODELS.responses);
+    const model = resolved.model;
+
+    let googleBody;
+    try {
+      googleBody = this._translateOpenAIToGoogle(chatBody, model);
+      this._applyResponsesOptions(req.body, googleBody, model);
+      this._applyModelDefaults(googleBody, resolved.generationConfig);
+    } catch (error) {
+      this._releaseAccount(authIndex);
+      return this._sendErrorResponse(res, error.status || 400, `Invalid Responses request format: ${error.message}`);
+    }
+
+    const googleEndpoint = isStream ? "streamGenerateContent" : "generateContent";
+    const proxyRequest = {
+      path: `/v1beta/models/${model}:${googleEndpoint}`,
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      query_params: isStream ? { alt: "sse" } : {},
+      body: JSON.stringify(googleBody),
+      request_id: requestId,
+      is_generative: true,
+      streaming_mode: "real",
+      client_wants_stream: true,
+      resume_on_prohibit: this.serverSystem.enableResume,
+      resume_limit: this.serverSystem.resumeLimit
+    };
+
+    const messageQueue = this.connectionRegistry.createMessageQueue(requestId, authIndex);
+    const responseState = {
+      response: {
+        id: `resp_${requestId}`,
+        object: "response",
+        created_at: Math.floor(Date.now() / 1000),
+        status: "in_progress",
+        model: model,
+        instructions: req.body.instructions || null,
+        previous_response_id: req.body.previous_response_id || null,
+        output: [],
+        usage: null,
+      },
+      current: null,
+      sequenceNumber: 0,
+      usageMetadata: null,
+      finishReason: null,
+      emit: () => {},
+    };
+
+    try {
+      this._forwardRequest(proxyRequest);
+      const initialMessage = await messageQueue.dequeue();
+
+      if (initialMessage.event_type === "error") {
+        this.logger.error(
+          `[Request] Responses 请求错误: ${initialMessage.status} - ${initialMessage.message}`
+        );
+        await this._handleRequestFailureAndSwitch(initialMessage, null, authIndex);
+        this._sendErrorResponse(res, initialMessage.status || 500, initialMessage.message);
+        return;
+      }
+
+      this._resetFailureCount(authIndex);
+
+      if (isStream) {
+        res.status(200).set({
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+        });
+        responseState.emit = (eventType, payload) => {
+          if (res.writableEnded) return;
+          const event = { type: eventType, sequence_number: responseState.sequenceNumber++, ...payload };
+          res.write(`event: ${eventType}\ndata: ${JSON.stringify(event)}\n\n`);
+        };
+        responseState.emit("response.created", { response: responseState.response });
+        responseState.emit("response.in_progress", { response: responseState.response });
+
+        let sseBuffer = "";
+        const translateLines = (lines) => {
+          for (const line of lines) {
+            if (!line.startsWith("data:")) continue;
+            const jsonString = line.replace(/^data:\s*/, "").trim();
+            if (!jsonString || jsonString === "[DONE]") continue;
+            try {
+              this._applyGoogleChunkToResponse(JSON.parse(jsonString), responseState);
+            } catch (e) { }
+          }
+        };
 
+        while (true) {
+          const message = await messageQueue.dequeue(this.config.streamChunkTimeout);
+          if (message.type === "STREAM_END") {
+            translateLines([sseBuffer]);
+            break;
+          }
+          if (message.data) {
+            sseBuffer += message.data;
+            const lines = sseBuffer.split(/\r?\n/);
+            sseBuffer = lines.pop();
+            translateLines(lines);
+          }
+        }
       } else {
         let fullBody = "";
         while (true) {
-          const message = await messageQueue.dequeue(300000);
+          const message = await messageQueue.dequeue(this.config.streamChunkTimeout);
           if (message.type === "STREAM_END") break;
           if (message.event_type === "chunk" && message.data) fullBody += message.data;
         }
+        this._applyGoogleChunkToResponse(JSON.parse(fullBody), responseState);
+      }
+
+      this._finalizeResponse(responseState);
+      const finalResponse = responseState.response;
+      if (req.body.store !== false) {
+        this.conversationStore.save(finalResponse.id, [
+          ...chatBody.messages.filter((msg) => msg.role !== "system" || !msg.isInstructions),
+          this._responseOutputToChatMessage(finalResponse.output),
+        ], req.apiKey?.name ?? null);
+      }
+
+      this.logger.info(`✅ [Request] Responses End (Reason: ${responseState.finishReason || "UNKNOWN"})`);
+      if (isStream) {
+        const eventType = finalResponse.status === "completed" ? "response.completed" : "response.incomplete";
+        responseState.emit(eventType, { response: finalResponse });
+      } else {
+        res.status(200).json(finalResponse);
+      }
+    } catch (error) {
+      if (res.headersSent) {
+        responseState.response.status = "failed";
+        responseState.response.error = { code: "server_error", message: error.message };
+        responseState.emit("response.failed", { response: responseState.response });
+      } else {
+        this._handleRequestError(error, res);
+      }
+    } finally {
+      this.connectionRegistry.removeMessageQueue(requestId);
+      if (!res.writableEnded) res.end();
+      this._releaseAccount(authIndex);
+    }
+  }
+
+  async processEmbeddingsRequest(req, res) {
+    const rawInput = req.body.input;
+    const inputs = typeof rawInput === "string" ? [rawInput] : rawInput;
+    if (!Array.isArray(inputs) || inputs.length === 0 || !inputs.every((item) => typeof item === "string")) {
+      return this._sendErrorResponse(res, 400, "Invalid embeddings request: 'input' must be a string or an array of strings.");
+    }
+
+    const authIndex = await this._acquireAccountForRequest(res, (status, message) =>
+      this._sendErrorResponse(res, status, message)
+    );
+    if (authIndex === null) return;
+    this._recordAccountUsage(authIndex);
+
+    const requestId = this._generateRequestId();
+    this.logger.setContext({ request_id: requestId, account: authIndex });
+    const model = this._resolveModel((req.body.model || DEFAULT_MODELS.embeddings).replace(/^models\//, "")).model;
+    const isBatch = inputs.length > 1;
+    const dimensions = req.body.dimensions ? { outputDimensionality: req.body.dimensions } : {};
+
+    const googleBody = isBatch
+      ? {
+        requests: inputs.map((text) => ({
+          model: `models/${model}`,
+          content: { parts: [{ text }] },
+          ...dimensions,
+        })),
+      }
+      : { content: { parts: [{ text: inputs[0] }] }, ...dimensions };
+
+    const proxyRequest = {
+      path: `/v1beta/models/${model}:${isBatch ? "batchEmbedContents" : "embedContent"}`,
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      query_params: {},
+      body: JSON.stringify(googleBody),
+      request_id: requestId,
+      is_generative: false,
+      streaming_mode: "fake",
+    };
+
+    const messageQueue = this.connectionRegistry.createMessageQueue(requestId, authIndex);
+
+    try {
+      this._forwardRequest(proxyRequest);
+      const headerMessage = await messageQueue.dequeue();
+
+      if (headerMessage.event_type === "error") {
+        this.logger.error(`[Request] Embeddings 请求错误: ${headerMessage.status} - ${headerMessage.message}`);
+        await this._handleRequestFailureAndSwitch(headerMessage, null, authIndex);
+        return this._sendErrorResponse(res, headerMessage.status || 500, headerMessage.message);
+      }
+
+      let fullBody = "";
+      while (true) {
+        const message = await messageQueue.dequeue(60000);
+        if (message.type === "STREAM_END") break;
+        if (message.event_type === "chunk" && message.data) fullBody += message.data;
+      }
+
+      this._resetFailureCount(authIndex);
+
+      const googleResponse = JSON.parse(fullBody);
+      const vectors = isBatch
+        ? (googleResponse.embeddings || []).map((embedding) => embedding.values)
+        : [googleResponse.embedding?.values || []];
+
+      const useBase64 = req.body.encoding_format === "base64";
+      // Gemini 的 embedContent 不返回 token 用量，缺失时按字符数粗略估算
+      const promptTokens = googleResponse.usageMetadata?.promptTokenCount ||
+        inputs.reduce((sum, text) => sum + Math.ceil(text.length / 4), 0);
+
+      this.logger.info(`✅ [Request] Embeddings Done (${vectors.length} 条)`);
+      res.status(200).json({
+        object: "list",
+        data: vectors.map((values, index) => ({
+          object: "embedding",
+          index,
+          embedding: useBase64 ? Buffer.from(new Float32Array(values).buffer).toString("base64") : values,
+        })),
+        model: model,
+        usage: { prompt_tokens: promptTokens, total_tokens: promptTokens },
+      });
+    } catch (error) {
+      this._handleRequestError(error, res);
+    } finally {
+      this.connectionRegistry.removeMessageQueue(requestId);
+      this._releaseAccount(authIndex);
+    }
+  }
+
+  // OpenAI 图片接口：Gemini 图片模型走 generateContent（每张图单独请求一次），Imagen 模型走 :predict
+  async processImageRequest(req, res, isEdit = false) {
+    const body = req.body || {};
+    const prompt = typeof body.prompt === "string" ? body.prompt.trim() : "";
+    if (!prompt) {
+      return this._sendErrorResponse(res, 400, "Invalid image request: 'prompt' is required.");
+    }
+    const count = body.n === undefined || body.n === null || body.n === "" ? 1 : Number(body.n);
+    if (!Number.isInteger(count) || count < 1 || count > 10) {
+      return this._sendErrorResponse(res, 400, "Invalid image request: 'n' must be an integer between 1 and 10.");
+    }
+
+    const model = this._resolveModel(String(body.model || DEFAULT_MODELS.images).replace(/^models\//, "")).model;
+    const isImagen = model.startsWith("imagen");
+    let aspectRatio, inputImages;
+    try {
+      aspectRatio = this._sizeToAspectRatio(body.aspect_ratio || body.size, isImagen);
+      inputImages = isEdit ? this._collectImageInputs(req) : [];
+    } catch (error) {
+      return this._sendErrorResponse(res, 400, `Invalid image request: ${error.message}`);
+    }
+    if (isEdit && inputImages.length === 0) {
+      return this._sendErrorResponse(res, 400, "Invalid image request: 'image' is required.");
+    }
+    if (isEdit && isImagen) {
+      return this._sendErrorResponse(res, 400, `Model '${model}' does not support image edits, use a Gemini image model instead.`);
+    }
+
+    const authIndex = await this._acquireAccountForRequest(res, (status, message) =>
+      this._sendErrorResponse(res, status, message)
+    );
+    if (authIndex === null) return;
+    this._recordAccountUsage(authIndex);
+
+    const requestId = this._generateRequestId();
+    this.logger.setContext({ request_id: requestId, account: authIndex });
+    this.logger.info(`[Request] 图片${isEdit ? "编辑" : "生成"}: ${model}, ${count} 张${aspectRatio ? `, 比例 ${aspectRatio}` : ""}`);
+
+    // 客户端断开后取消进行中的上游调用，并不再发起剩余的生成请求
+    let clientClosed = false;
+    res.on("close", () => {
+      if (res.writableEnded) return;
+      clientClosed = true;
+      this._cancelBrowserRequest(requestId);
+      this.connectionRegistry.removeMessageQueue(requestId);
+    });
+
+    try {
+      const images = [];
+      const totalUsage = {};
+      let refusal = "";
+      if (isImagen) {
+        const googleResponse = await this._fetchImageResponse(authIndex, requestId, `/v1beta/models/${model}:predict`, {
+          instances: [{ prompt }],
+          parameters: { sampleCount: count, ...(aspectRatio ? { aspectRatio } : {}) },
+        });
+        (googleResponse.predictions || []).forEach((prediction) => {
+          if (prediction.bytesBase64Encoded) {
+            images.push({ data: prediction.bytesBase64Encoded, mimeType: prediction.mimeType || "image/png" });
+          }
+        });
+      } else {
+        // 多次调用共用同一个请求 ID，用量逐次取出累加，结束后再写回供用量统计使用
+        const parts = inputImages.map((image) => ({ inlineData: { mimeType: image.mimeType, data: image.data } }));
+        if (inputImages.some((image) => image.isMask)) {
+          parts.push({ text: "The last image is a mask: only edit the areas where the mask is transparent." });
+        }
+        parts.push({ text: prompt });
+        for (let i = 0; i < count && !clientClosed; i++) {
+          const googleResponse = await this._fetchImageResponse(authIndex, requestId, `/v1beta/models/${model}:generateContent`, {
+            contents: [{ role: "user", parts }],
+            generationConfig: {
+              responseModalities: ["TEXT", "IMAGE"],
+              ...(aspectRatio ? { imageConfig: { aspectRatio } } : {}),
+            },
+          });
+          const usage = this.connectionRegistry.takeRequestUsage(requestId) || {};
+          Object.entries(usage).forEach(([field, value]) => {
+            totalUsage[field] = (totalUsage[field] || 0) + value;
+          });
 
-        const googleResponse = JSON.parse(fullBody);
-        const candidate = googleResponse.candidates?.[0];
-        let responseContent = "";
-        let responseReasoning = "";
-
-        if (candidate?.content?.parts) {
-          candidate.content.parts.forEach(p => {
-            if (p.inlineData) {
-              const image = p.inlineData;
-              responseContent += `![Generated Image](data:${image.mimeType};base64,${image.data})\n`;
-            } else if (p.thought) {
-              responseReasoning += (p.text || "");
-            } else {
-              responseContent += (p.text || "");
+          const candidate = googleResponse.candidates?.[0];
+          const candidateImages = [];
+          let revisedPrompt = "";
+          (candidate?.content?.parts || []).forEach((part) => {
+            if (part.inlineData?.data) {
+              candidateImages.push({ data: part.inlineData.data, mimeType: part.inlineData.mimeType || "image/png" });
+            } else if (part.text && !part.thought) {
+              revisedPrompt += part.text;
             }
           });
+          // 说明文字可能出现在图片之前或之后，读完全部 part 后再附到本次生成的图片上
+          candidateImages.forEach((image) => images.push({ ...image, revisedPrompt }));
+          if (candidateImages.length === 0) {
+            refusal = revisedPrompt.trim() || candidate?.finishReason || googleResponse.promptFeedback?.blockReason || "";
+          }
         }
+        this.connectionRegistry.setRequestUsage(requestId, totalUsage);
+      }
 
-        const finishReason = candidate?.finishReason || "UNKNOWN";
-        this.logger.info(`✅ [Request] OAI Response End (Reason: ${finishReason})`);
+      this._resetFailureCount(authIndex);
 
-        res.status(200).json({
-          id: `chatcmpl-${requestId}`,
-          object: "chat.completion",
-          created: Math.floor(Date.now() / 1000),
-          model: model,
-          choices: [{
-            index: 0,
-            message: {
-              role: "assistant",
-              content: responseContent,
-              reasoning_content: responseReasoning || null
+      if (clientClosed) {
+        this.logger.warn(`[Request] 客户端已断开，停止图片生成 (已生成 ${images.length}/${count} 张)`);
+        return;
+      }
+      if (images.length === 0) {
+        this.logger.warn(`[Request] 上游未返回图片${refusal ? `: ${refusal}` : ""}`);
+        return this._sendErrorResponse(res, 502, `No image was generated${refusal ? `: ${refusal}` : "."}`);
+      }
+
+      // url 格式的图片暂存在 ImageStore 中，与聊天接口的图片链接共用 /images/<ID> 路由
+      const baseUrl = body.response_format === "url" ? this._getPublicBaseUrl(req) : null;
+      this.logger.info(`✅ [Request] Images Done (${images.length} 张)`);
+      res.status(200).json({
+        created: Math.floor(Date.now() / 1000),
+        data: images.map((image) => ({
+          ...(baseUrl
+            ? { url: `${baseUrl}/images/${this.imageStore.save(image.mimeType, image.data)}` }
+            : { b64_json: image.data }),
+          ...(image.revisedPrompt ? { revised_prompt: image.revisedPrompt.trim() } : {}),
+        })),
+        ...(totalUsage.totalTokenCount
+          ? {
+            usage: {
+              input_tokens: totalUsage.promptTokenCount || 0,
+              output_tokens: totalUsage.candidatesTokenCount || 0,
+              total_tokens: totalUsage.totalTokenCount,
             },
-            finish_reason: finishReason,
-          }],
+          }
+          : {}),
+      });
+    } catch (error) {
+      if (clientClosed) {
+        this.logger.warn(`[Request] 客户端已断开，已取消图片生成`);
+        return;
+      }
+      if (error.upstream) {
+        this.logger.error(`[Request] 图片请求错误: ${error.upstream.status} - ${error.upstream.message}`);
+        await this._handleRequestFailureAndSwitch(error.upstream, null, authIndex);
+        return this._sendErrorResponse(res, error.upstream.status || 500, error.upstream.message);
+      }
+      this._handleRequestError(error, res);
+    } finally {
+      this.connectionRegistry.removeMessageQueue(requestId);
+      this._releaseAccount(authIndex);
+    }
+  }
+
+  // 发送一次非流式的图片请求并返回完整的 JSON 响应；上游错误以 error.upstream 抛出
+  async _fetchImageResponse(authIndex, requestId, path, googleBody) {
+    const proxyRequest = {
+      path,
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      query_params: {},
+      body: JSON.stringify(googleBody),
+      request_id: requestId,
+      is_generative: true,
+      streaming_mode: "fake",
+    };
+
+    const messageQueue = this.connectionRegistry.createMessageQueue(requestId, authIndex);
+    try {
+      this._forwardRequest(proxyRequest);
+      const headerMessage = await messageQueue.dequeue();
+      if (headerMessage.event_type === "error") {
+        const error = new Error(headerMessage.message);
+        error.upstream = headerMessage;
+        throw error;
+      }
+
+      let fullBody = "";
+      while (true) {
+        const message = await messageQueue.dequeue(this.config.streamChunkTimeout);
+        if (message.type === "STREAM_END") break;
+        if (message.event_type === "chunk" && message.data) fullBody += message.data;
+      }
+      return JSON.parse(fullBody);
+    } finally {
+      this.connectionRegistry.removeMessageQueue(requestId);
+    }
+  }
+
+  // 把 OpenAI 的 size（如 1024x1536）换算成最接近的 Gemini/Imagen 宽高比，也可直接传入宽高比
+  _sizeToAspectRatio(size, isImagen) {
+    if (!size || size === "auto") return null;
+    const supported = isImagen
+      ? ["1:1", "3:4", "4:3", "9:16", "16:9"]
+      : ["1:1", "2:3", "3:2", "3:4", "4:3", "4:5", "5:4", "9:16", "16:9", "21:9"];
+    if (supported.includes(size)) return size;
+    const match = String(size).match(/^(\d+)\s*[x:]\s*(\d+)$/i);
+    if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+      throw new Error(`'size' must look like 1024x1024, got '${size}'.`);
+    }
+    const target = Math.log(Number(match[1]) / Number(match[2]));
+    const distance = (ratio) => {
+      const [width, height] = ratio.split(":").map(Number);
+      return Math.abs(Math.log(width / height) - target);
+    };
+    return supported.reduce((best, ratio) => (distance(ratio) < distance(best) ? ratio : best));
+  }
+
+  // 收集编辑接口的输入图片：multipart 上传的 image / image[] / mask 文件，或 JSON 中的 base64 / data URL
+  _collectImageInputs(req) {
+    const images = [];
+    let mask = null;
+    // multer 的 fields() 按字段名分组返回上传的文件
+    Object.values(req.files || {}).flat().forEach((file) => {
+      const image = { data: file.buffer.toString("base64"), mimeType: file.mimetype || "image/png" };
+      if (file.fieldname === "mask") mask = image;
+      else images.push(image);
+    });
+
+    const parseImage = (value) => {
+      if (value && typeof value === "object") {
+        value = value.b64_json || (typeof value.image_url === "object" ? value.image_url?.url : value.image_url) || value.url;
+      }
+      if (typeof value !== "string" || !value) throw new Error("each image must be a base64 string or a data URL.");
+      const dataUrl = value.match(/^data:([^;,]+);base64,(.*)$/s);
+      if (dataUrl) return { data: dataUrl[2], mimeType: dataUrl[1] };
+      if (/^https?:\/\//i.test(value)) throw new Error("remote image URLs are not supported, send base64 data instead.");
+      return { data: value.replace(/\s/g, ""), mimeType: "image/png" };
+    };
+    const body = req.body || {};
+    [].concat(body.image || [], body.images || []).forEach((value) => images.push(parseImage(value)));
+    if (body.mask) mask = parseImage(body.mask);
+
+    // Gemini 不支持蒙版参数，把蒙版作为最后一张图片附上，由提示词说明其含义
+    if (mask && images.length > 0) {
+      images.push({ ...mask, isMask: true });
+    }
+    return images;
+  }
+
+  async processModelListRequest(req, res) {
+    const authIndex = await this._acquireAccountForRequest(res, (status, message) =>
+      this._sendErrorResponse(res, status, message)
+    );
+    if (authIndex === null) return;
+
+    const requestId = this._generateRequestId();
+    this.logger.setContext({ request_id: requestId, account: authIndex });
+    const proxyRequest = this._buildProxyRequest(req, requestId);
+    proxyRequest.path = "/v1beta/models";
+    proxyRequest.method = "GET";
+    proxyRequest.streaming_mode = "fake";
+
+    const messageQueue = this.connectionRegistry.createMessageQueue(requestId, authIndex);
+    try {
+      this._forwardRequest(proxyRequest);
+      const headerMessage = await messageQueue.dequeue();
+      if (headerMessage.event_type === "error") throw new Error(headerMessage.message || "Upstream error");
+
+      let fullBody = "";
+      while (true) {
+        const message = await messageQueue.dequeue(60000);
+        if (message.type === "STREAM_END") break;
+        if (message.event_type === "chunk" && message.data) fullBody += message.data;
+      }
+
+      let googleModels = [];
+      try {
+        googleModels = JSON.parse(fullBody).models || [];
+      } catch (e) { }
+      googleModels.forEach((model) => this.knownModels.add(model.name.replace("models/", "")));
+
+      const openaiModels = googleModels.map(model => ({
+        id: model.name.replace("models/", ""),
+        object: "model",
+        created: Math.floor(Date.now() / 1000),
+        owned_by: "google"
+      }));
+      // 别名作为独立模型列出，客户端可直接选用
+      this.serverSystem.modelAliasManager.list().forEach((entry) => {
+        if (openaiModels.some((model) => model.id === entry.alias)) return;
+        openaiModels.push({
+          id: entry.alias,
+          object: "model",
+          created: Math.floor(Date.now() / 1000),
+          owned_by: "alias",
+          root: entry.model
         });
+      });
+
+      res.status(200).json({ object: "list", data: openaiModels });
+    } catch (error) {
+      this._sendErrorResponse(res, 500, "Failed to fetch model list.");
+    } finally {
+      this.connectionRegistry.removeMessageQueue(requestId);
+      this._releaseAccount(authIndex);
+    }
+  }
+
+  // 别名表优先；未命中别名时保留原有的 gemini-2.5-pro -> gemini-3-pro-preview 重定向开关
+  _resolveModel(model) {
+    const alias = this.serverSystem.modelAliasManager.resolve(model);
+    if (alias) return { model: alias.model, generationConfig: alias.generationConfig };
+    if (this.serverSystem.redirect25to30 && model === "gemini-2.5-pro") {
+      return { model: "gemini-3-pro-preview", generationConfig: null };
+    }
+    return { model, generationConfig: null };
+  }
+
+  // 别名的默认生成参数只补充请求中未设置的字段，对象字段（如 thinkingConfig）逐项补充
+  _applyModelDefaults(googleBody, defaults) {
+    if (!defaults) return;
+    const isObject = (value) => value && typeof value === "object" && !Array.isArray(value);
+    if (!isObject(googleBody.generationConfig)) googleBody.generationConfig = {};
+    const target = googleBody.generationConfig;
+    Object.entries(JSON.parse(JSON.stringify(defaults))).forEach(([key, value]) => {
+      if (target[key] === undefined) target[key] = value;
+      else if (isObject(target[key]) && isObject(value)) target[key] = { ...value, ...target[key] };
+    });
+  }
+
+  _cancelBrowserRequest(requestId) {
+    const connection = this.connectionRegistry.getConnectionForRequest(requestId);
+    if (connection) {
+      connection.send(JSON.stringify({ event_type: "cancel_request", request_id: requestId }));
+    }
+  }
+
+  _generateRequestId() {
+    return `${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+  }
+
+  _buildProxyRequest(req, requestId) {
+    // 非 JSON 请求体（如上传的文件内容）是 Buffer，不能经过 JSON.stringify，以 base64 传给浏览器后由浏览器还原为二进制
+    const isBinary = Buffer.isBuffer(req.body);
+    let finalBody = req.body;
+    if (!isBinary && this.serverSystem.enableNativeReasoning &&
+      (req.path.includes("generateContent") || req.path.includes("streamGenerateContent"))) {
+      try {
+        finalBody = JSON.parse(JSON.stringify(req.body));
+        if (!finalBody.generationConfig) finalBody.generationConfig = {};
+        finalBody.generationConfig.thinkingConfig = { includeThoughts: true };
+      } catch (e) { }
+    }
+
+    const proxyRequest = {
+      path: req.path,
+      method: req.method,
+      headers: req.headers,
+      query_params: req.query,
+      body: isBinary ? req.body.toString("base64") : finalBody ? JSON.stringify(finalBody) : "",
+      request_id: requestId,
+      streaming_mode: this.serverSystem.streamingMode,
+      resume_on_prohibit: isBinary ? false : this.serverSystem.enableResume,
+      resume_limit: this.serverSystem.resumeLimit
+    };
+    if (isBinary) proxyRequest.body_encoding = "base64";
+    return proxyRequest;
+  }
+
+  // 从 upload_id 或请求中引用的 files/xxx 找到创建它们的账号
+  _findFileOwner(req) {
+    if (this.fileOwners.size === 0) return null;
+    const keys = req.query.upload_id ? [String(req.query.upload_id)] : [];
+    const text = req.path + (req.body && !Buffer.isBuffer(req.body) ? JSON.stringify(req.body) : "");
+    for (const match of text.matchAll(/files\/([a-z0-9-]+)/g)) keys.push(`files/${match[1]}`);
+    const key = keys.find((item) => this.fileOwners.has(item));
+    return key ? this.fileOwners.get(key) : null;
+  }
+
+  _rememberFileOwner(key, authIndex) {
+    this.fileOwners.delete(key);
+    this.fileOwners.set(key, authIndex);
+    if (this.fileOwners.size > 1000) {
+      this.fileOwners.delete(this.fileOwners.keys().next().value);
+    }
+  }
+
+  _forwardRequest(proxyRequest) {
+    const connection = this.connectionRegistry.getConnectionForRequest(proxyRequest.request_id);
+    if (connection) {
+      connection.send(JSON.stringify(proxyRequest));
+    } else {
+      throw new Error("No available browser connection.");
+    }
+  }
+
+  _sendErrorChunkToClient(res, errorMessage) {
+    const chunk = `data: ${JSON.stringify({ error: { message: errorMessage, code: "proxy_error" } })}\n\n`;
+    if (res && !res.writableEnded) res.write(chunk);
+  }
+
+  async _handlePseudoStreamResponse(proxyRequest, messageQueue, req, res) {
+    const authIndex = this.connectionRegistry.getRequestOwner(proxyRequest.request_id);
+    // [优化] 日志更简洁
+    this.logger.info(`[Request] 使用 Fake Stream 模式处理...`);
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    const connectionMaintainer = setInterval(() => {
+      if (!res.writableEnded) res.write(": keep-alive\n\n");
+    }, 3000);
+
+    try {
+      let lastMessage, requestFailed = false;
+
+      for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+        if(attempt > 1) this.logger.info(`[Request] 重试 #${attempt}...`);
+        
+        this._forwardRequest(proxyRequest);
+        try {
+          const timeoutPromise = new Promise((_, reject) => setTimeout(() => reject(new Error("Timeout")), this.config.streamChunkTimeout));
+          lastMessage = await Promise.race([messageQueue.dequeue(), timeoutPromise]);
+        } catch (timeoutError) {
+          lastMessage = { event_type: "error", status: 504, message: "Timeout" };
+        }
+
+        if (lastMessage.event_type === "error") {
+          if (!lastMessage.message?.includes("aborted")) {
+             // 只有非用户取消的错误才重试
+             if (attempt < this.maxRetries) {
+                await new Promise((resolve) => setTimeout(resolve, this.retryDelay));
+                continue;
+             }
+             requestFailed = true;
+          }
+        }
+        break;
+      }
+
+      if (requestFailed) {
+        await this._handleRequestFailureAndSwitch(lastMessage, res, authIndex);
+        this._sendErrorChunkToClient(res, lastMessage.message);
+        return;
+      }
+
+      this._resetFailureCount(authIndex);
+
+      // 响应可能分成多块到达，收齐后作为一个事件发送
+      let fullBody = "";
+      while (true) {
+        const message = await messageQueue.dequeue(this.config.streamChunkTimeout);
+        if (message.type === "STREAM_END") break;
+        if (message.event_type === "chunk" && message.data) fullBody += message.data;
+      }
+      if (fullBody) res.write(`data: ${fullBody}\n\n`);
+      
+      try {
+        const fullResponse = JSON.parse(fullBody);
+        const finishReason = fullResponse.candidates?.[0]?.finishReason || "UNKNOWN";
+        this.logger.info(`✅ [Request] Done (Reason: ${finishReason})`);
+      } catch (e) {}
+      
+      res.write("data: [DONE]\n\n");
+    } catch (error) {
+      this._handleRequestError(error, res);
+    } finally {
+      clearInterval(connectionMaintainer);
+      if (!res.writableEnded) res.end();
+    }
+  }
+
+  async _handleRealStreamResponse(proxyRequest, messageQueue, res) {
+    const authIndex = this.connectionRegistry.getRequestOwner(proxyRequest.request_id);
+    // [优化] 移除 "已派发" 日志
+    this._forwardRequest(proxyRequest);
+    const headerMessage = await messageQueue.dequeue();
+
+    if (headerMessage.event_type === "error") {
+      this.logger.error(`[Request] 错误: ${headerMessage.message}`);
+      await this._handleRequestFailureAndSwitch(headerMessage, null, authIndex);
+      return this._sendErrorResponse(res, headerMessage.status, headerMessage.message);
+    }
+
+    this._resetFailureCount(authIndex);
+
+    this._setResponseHeaders(res, headerMessage, true);
+    
+    let capturedFinishReason = "UNKNOWN";
+    try {
+      while (true) {
+        const dataMessage = await messageQueue.dequeue(30000);
+        if (dataMessage.type === "STREAM_END") break;
+        if (dataMessage.data) {
+          res.write(dataMessage.data);
+          const match = dataMessage.data.match(/"finishReason"\s*:\s*"([^"]+)"/);
+          if (match) capturedFinishReason = match[1];
+        }
       }
+      this.logger.info(`✅ [Request] Done (Reason: ${capturedFinishReason})`);
     } catch (error) {
-      this._handleRequestError(error, res);
+      if (error.message !== "Queue timeout") throw error;
     } finally {
-      this.connectionRegistry.removeMessageQueue(requestId);
       if (!res.writableEnded) res.end();
-      this.activeRequestCount--;
-      if (this.activeRequestCount < 0) this.activeRequestCount = 0;
-      this._tryExecutePendingSwitch();
     }
   }
 
-  async processModelListRequest(req, res) {
-    const requestId = this._generateRequestId();
-    const proxyRequest = this._buildProxyRequest(req, requestId);
-    proxyRequest.path = "/v1beta/models";
-    proxyRequest.method = "GET";
-    proxyRequest.streaming_mode = "fake";
+  async _handleNonStreamResponse(proxyRequest, messageQueue, res) {
+    const authIndex = this.connectionRegistry.getRequestOwner(proxyRequest.request_id);
+    // [优化] 移除 "进入非流式模式" 日志
+    this._forwardRequest(proxyRequest);
 
-    const messageQueue = this.connectionRegistry.createMessageQueue(requestId);
     try {
-      this._forwardRequest(proxyRequest);
       const headerMessage = await messageQueue.dequeue();
-      if (headerMessage.event_type === "error") throw new Error(headerMessage.message || "Upstream error");
+      if (headerMessage.event_type === "error") {
+        this.logger.error(`[Request] 错误: ${headerMessage.message}`);
+        await this._handleRequestFailureAndSwitch(headerMessage, null, authIndex);
+        return this._sendErrorResponse(res, headerMessage.status || 500, headerMessage.message);
+      }
 
       let fullBody = "";
       while (true) {
-        const message = await messageQueue.dequeue(60000);
+        const message = await messageQueue.dequeue(this.config.streamChunkTimeout);
         if (message.type === "STREAM_END") break;
         if (message.event_type === "chunk" && message.data) fullBody += message.data;
       }
 
-      let googleModels = [];
+      this._resetFailureCount(authIndex);
+
+      // 图片处理逻辑...
       try {
-        googleModels = JSON.parse(fullBody).models || [];
-      } catch (e) { }
+        let parsedBody = JSON.parse(fullBody);
+        const candidate = parsedBody.candidates?.[0];
+        if (candidate?.content?.parts?.some(p => p.inlineData)) {
+           // ...转换逻辑 (保持原样，但省略日志) ...
+           const imagePartIndex = candidate.content.parts.findIndex(p => p.inlineData);
+           if(imagePartIndex > -1) {
+             const image = candidate.content.parts[imagePartIndex].inlineData;
+             candidate.content.parts[imagePartIndex] = { text: `![Image](data:${image.mimeType};base64,${image.data})` };
+             fullBody = JSON.stringify(parsedBody);
+           }
+        }
+        
+        const finishReason = candidate?.finishReason || "UNKNOWN";
+        this.logger.info(`✅ [Request] Done (Reason: ${finishReason})`);
+      } catch (e) {}
 
-      const openaiModels = googleModels.map(model => ({
-        id: model.name.replace("models/", ""),
-        object: "model",
-        created: Math.floor(Date.now() / 1000),
-        owned_by: "google"
+      res.status(headerMessage.status || 200).type("application/json").send(fullBody || "{}");
+    } catch (error) {
+      this._handleRequestError(error, res);
+    }
+  }
+
+  // 原样转发 Files API 上传/下载的响应：上传地址改写为本服务地址，二进制数据块按 base64 解码后写回
+  async _handleFileTransferResponse(proxyRequest, messageQueue, req, res) {
+    const authIndex = this.connectionRegistry.getRequestOwner(proxyRequest.request_id);
+    this._forwardRequest(proxyRequest);
+    const headerMessage = await messageQueue.dequeue();
+
+    if (headerMessage.event_type === "error") {
+      this.logger.error(`[Request] 错误: ${headerMessage.message}`);
+      await this._handleRequestFailureAndSwitch(headerMessage, null, authIndex);
+      return this._sendErrorResponse(res, headerMessage.status || 500, headerMessage.message);
+    }
+
+    this._resetFailureCount(authIndex);
+
+    // 浏览器已解压响应内容，不能再把压缩相关的头转给客户端
+    const headers = { ...(headerMessage.headers || {}) };
+    delete headers["content-encoding"];
+    delete headers["transfer-encoding"];
+    if (headers["x-goog-upload-url"]) {
+      const uploadUrl = new URL(headers["x-goog-upload-url"]);
+      headers["x-goog-upload-url"] = `${this._getPublicBaseUrl(req)}${uploadUrl.pathname}${uploadUrl.search}`;
+      const uploadId = uploadUrl.searchParams.get("upload_id");
+      if (uploadId) this._rememberFileOwner(uploadId, authIndex);
+      // 每个分块都要整块缓存在内存中再经 WebSocket 转发，提示客户端按 UPLOAD_CHUNK_SIZE 分块（只是提示，超出的中间分块返回 413）
+      headers["x-goog-upload-chunk-granularity"] = String(this.config.uploadChunkSize);
+    }
+    this._setResponseHeaders(res, { ...headerMessage, headers });
+
+    // 客户端读取较慢时等待 drain，避免大文件下载整体堆积在响应缓冲区中
+    const write = async (data) => {
+      if (res.write(data) || res.destroyed) return;
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off("drain", done);
+          res.off("close", done);
+          resolve();
+        };
+        res.on("drain", done);
+        res.on("close", done);
+      });
+    };
+    let textBody = "";
+    try {
+      while (true) {
+        const message = await messageQueue.dequeue(this.config.streamChunkTimeout);
+        if (message.type === "STREAM_END") break;
+        if (message.event_type !== "chunk" || !message.data) continue;
+        if (message.encoding === "base64") {
+          await write(Buffer.from(message.data, "base64"));
+        } else {
+          await write(message.data);
+          if (textBody.length < 65536) textBody += message.data;
+        }
+      }
+    } finally {
+      if (!res.writableEnded) res.end();
+    }
+
+    // 上传完成时响应中带有文件名，之后引用该文件的请求会优先路由到同一账号
+    const fileName = textBody.match(/"name"\s*:\s*"(files\/[a-z0-9-]+)"/);
+    if (fileName) this._rememberFileOwner(fileName[1], authIndex);
+    const uploadStatus = headers["x-goog-upload-status"];
+    this.logger.info(`✅ [Request] Files ${req.method} ${req.path} 完成 (${headerMessage.status}${uploadStatus ? `, upload ${uploadStatus}` : ""})`);
+  }
+
+  _setResponseHeaders(res, headerMessage, isStream = false) {
+    res.status(headerMessage.status || 200);
+    const headers = headerMessage.headers || {};
+    Object.entries(headers).forEach(([name, value]) => {
+      if (name.toLowerCase() === "content-length") return;
+      if (isStream && name.toLowerCase() === "content-type") return;
+      res.set(name, value);
+    });
+
+    if (isStream) {
+      res.set("Content-Type", "text/event-stream");
+      res.set("Cache-Control", "no-cache");
+      res.set("Connection", "keep-alive");
+    }
+  }
+
+  _handleRequestError(error, res) {
+    if (res.headersSent) {
+      if (!res.writableEnded) res.end();
+    } else {
+      this.logger.error(`[Request] 异常: ${error.message}`);
+      const status = error.message.includes("Timeout") ? 504 : 500;
+      this._sendErrorResponse(res, status, error.message);
+    }
+  }
+
+  _sendErrorResponse(res, status, message) {
+    if (!res.headersSent) {
+      res.status(status || 500).json({ error: { code: status || 500, message: message, status: "SERVICE_UNAVAILABLE" } });
+    }
+  }
+
+  // 在进入具体处理流程前拒绝请求时，按路由返回对应 API 风格的错误
+  _sendRouteError(route, res, status, message) {
+    if (res.headersSent) return;
+    if (route === "anthropic") return this._sendAnthropicError(res, status, message);
+    if (route === "native") {
+      const statusNames = { 400: "INVALID_ARGUMENT", 401: "UNAUTHENTICATED", 403: "PERMISSION_DENIED", 429: "RESOURCE_EXHAUSTED" };
+      return res.status(status).json({ error: { code: status, message, status: statusNames[status] || "UNKNOWN" } });
+    }
+    const errorTypes = { 401: "invalid_request_error", 403: "permission_error", 429: "rate_limit_exceeded" };
+    res.status(status).json({
+      error: { message, type: errorTypes[status] || "api_error", param: null, code: errorTypes[status] || null },
+    });
+  }
+
+  _translateOpenAIToGoogle(openaiBody, modelName = "") {
+    // [优化] 移除 "开始翻译" 日志
+    let systemInstruction = null;
+    const googleContents = [];
+
+    const systemMessages = openaiBody.messages.filter((msg) => msg.role === "system");
+    if (systemMessages.length > 0) {
+      systemInstruction = { role: "system", parts: [{ text: systemMessages.map((msg) => msg.content).join("\n") }] };
+    }
+
+    // tool_call_id -> 函数名，用于把 role=tool 的结果还原为 functionResponse
+    const toolCallNames = new Map();
+    const conversationMessages = openaiBody.messages.filter((msg) => msg.role !== "system");
+    for (const message of conversationMessages) {
+      if (message.role === "tool") {
+        const responsePart = {
+          functionResponse: {
+            name: message.name || toolCallNames.get(message.tool_call_id) || "unknown_function",
+            response: this._parseToolResultContent(message.content),
+          },
+        };
+        // 同一轮的多个工具结果必须合并在同一条 user 消息里
+        const lastContent = googleContents[googleContents.length - 1];
+        if (lastContent && lastContent.role === "user" && lastContent.parts.every((p) => p.functionResponse)) {
+          lastContent.parts.push(responsePart);
+        } else {
+          googleContents.push({ role: "user", parts: [responsePart] });
+        }
+        continue;
+      }
+
+      const googleParts = [];
+      if (typeof message.content === "string") {
+        if (message.content) googleParts.push({ text: message.content });
+      } else if (Array.isArray(message.content)) {
+        for (const part of message.content) {
+          googleParts.push(this._translateOpenAIContentPart(part));
+        }
+      }
+
+      if (message.role === "assistant" && Array.isArray(message.tool_calls)) {
+        let isFirstCall = true;
+        for (const toolCall of message.tool_calls) {
+          if (!toolCall.function) continue;
+          toolCallNames.set(toolCall.id, toolCall.function.name);
+          let args = {};
+          try {
+            args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+          } catch (e) {
+            throw new Error(`Invalid JSON in tool_calls arguments for "${toolCall.function.name}".`);
+          }
+          const callPart = { functionCall: { name: toolCall.function.name, args } };
+          // Gemini 3 要求回传 functionCall 时携带 thoughtSignature
+          const signature = this.toolCallSignatures.get(toolCall.id) ||
+            (isFirstCall && modelName.includes("gemini-3") ? "skip_thought_signature_validator" : null);
+          if (signature) callPart.thoughtSignature = signature;
+          googleParts.push(callPart);
+          isFirstCall = false;
+        }
+      }
+
+      if (googleParts.length === 0) continue;
+      googleContents.push({ role: message.role === "assistant" ? "model" : "user", parts: googleParts });
+    }
+
+    const googleRequest = {
+      contents: googleContents,
+      ...(systemInstruction && { systemInstruction: { parts: systemInstruction.parts } }),
+      generationConfig: {
+        temperature: openaiBody.temperature,
+        topP: openaiBody.top_p,
+        topK: openaiBody.top_k,
+        maxOutputTokens: openaiBody.max_tokens,
+        stopSequences: openaiBody.stop,
+      },
+      safetySettings: [
+        { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
+        { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
+        { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
+        { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
+      ]
+    };
+
+    const functionDeclarations = (openaiBody.tools || [])
+      .filter((tool) => tool.type === "function" && tool.function)
+      .map((tool) => ({
+        name: tool.function.name,
+        ...(tool.function.description && { description: tool.function.description }),
+        ...(tool.function.parameters && { parameters: this._sanitizeSchemaForGoogle(tool.function.parameters) }),
       }));
+    if (functionDeclarations.length > 0) {
+      googleRequest.tools = [{ functionDeclarations }];
+    }
+
+    const functionCallingConfig = this._translateToolChoice(openaiBody.tool_choice);
+    if (functionCallingConfig && (functionDeclarations.length > 0 || functionCallingConfig.mode === "NONE")) {
+      googleRequest.toolConfig = { functionCallingConfig };
+    }
+
+    if (this.serverSystem.enableReasoning) {
+        googleRequest.generationConfig.thinkingConfig = { includeThoughts: true };
+    }
+
+    return googleRequest;
+  }
+
+  _translateToolChoice(toolChoice) {
+    if (!toolChoice) return null;
+    if (typeof toolChoice === "string") {
+      const modeMap = { auto: "AUTO", none: "NONE", required: "ANY" };
+      return modeMap[toolChoice] ? { mode: modeMap[toolChoice] } : null;
+    }
+    if (toolChoice.type === "function" && toolChoice.function?.name) {
+      return { mode: "ANY", allowedFunctionNames: [toolChoice.function.name] };
+    }
+    return null;
+  }
+
+  _parseToolResultContent(content) {
+    let text = content;
+    if (Array.isArray(content)) {
+      text = content.map((part) => (part.type === "text" ? part.text : "")).join("");
+    }
+    if (typeof text !== "string") return { content: text ?? null };
+    try {
+      const parsed = JSON.parse(text);
+      // functionResponse.response 必须是对象
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) return parsed;
+    } catch (e) { }
+    return { content: text };
+  }
+
+  _sanitizeSchemaForGoogle(schema) {
+    // Gemini 的 Schema 只接受 OpenAPI 子集，去掉 $schema / additionalProperties 等字段
+    const allowedKeys = [
+      "type", "format", "title", "description", "nullable", "enum", "properties", "required",
+      "items", "minItems", "maxItems", "minimum", "maximum", "minLength", "maxLength",
+      "pattern", "anyOf", "propertyOrdering", "default",
+    ];
+    if (Array.isArray(schema)) return schema.map((item) => this._sanitizeSchemaForGoogle(item));
+    if (!schema || typeof schema !== "object") return schema;
+
+    const sanitized = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (!allowedKeys.includes(key)) continue;
+      if (key === "properties" && value && typeof value === "object") {
+        sanitized.properties = {};
+        for (const [propName, propSchema] of Object.entries(value)) {
+          sanitized.properties[propName] = this._sanitizeSchemaForGoogle(propSchema);
+        }
+      } else if (key === "items" || key === "anyOf") {
+        sanitized[key] = this._sanitizeSchemaForGoogle(value);
+      } else if (key === "type" && Array.isArray(value)) {
+        // ["string", "null"] -> type: string + nullable
+        const types = value.filter((t) => t !== "null");
+        sanitized.type = types[0] || "string";
+        if (value.includes("null")) sanitized.nullable = true;
+      } else {
+        sanitized[key] = value;
+      }
+    }
+    return sanitized;
+  }
+
+  _buildOpenAIToolCall(functionCall, thoughtSignature) {
+    const toolCallId = `call_${crypto.randomBytes(12).toString("hex")}`;
+    if (thoughtSignature) this._rememberToolCallSignature(toolCallId, thoughtSignature);
+    return {
+      id: toolCallId,
+      type: "function",
+      function: { name: functionCall.name, arguments: JSON.stringify(functionCall.args || {}) },
+    };
+  }
+
+  _rememberToolCallSignature(toolCallId, thoughtSignature) {
+    this.toolCallSignatures.set(toolCallId, thoughtSignature);
+    if (this.toolCallSignatures.size > 1000) {
+      this.toolCallSignatures.delete(this.toolCallSignatures.keys().next().value);
+    }
+  }
+
+  _mapFinishReasonToOpenAI(finishReason, hasToolCalls = false) {
+    if (!finishReason) return null;
+    if (hasToolCalls) return "tool_calls";
+    switch (finishReason) {
+      case "STOP":
+        return "stop";
+      case "MAX_TOKENS":
+        return "length";
+      case "SAFETY":
+      case "RECITATION":
+      case "BLOCKLIST":
+      case "PROHIBITED_CONTENT":
+      case "SPII":
+        return "content_filter";
+      default:
+        return finishReason.toLowerCase();
+    }
+  }
+
+  _translateGoogleUsageToOpenAI(usageMetadata) {
+    const usage = usageMetadata || {};
+    const reasoningTokens = usage.thoughtsTokenCount || 0;
+    const completionTokens = (usage.candidatesTokenCount || 0) + reasoningTokens;
+    return {
+      prompt_tokens: usage.promptTokenCount || 0,
+      completion_tokens: completionTokens,
+      total_tokens: usage.totalTokenCount || (usage.promptTokenCount || 0) + completionTokens,
+      prompt_tokens_details: { cached_tokens: usage.cachedContentTokenCount || 0 },
+      completion_tokens_details: { reasoning_tokens: reasoningTokens },
+    };
+  }
+
+  _translateGoogleToOpenAIStream(googleChunk, modelName = "gemini-pro", streamState = null) {
+    if (!googleChunk || googleChunk.trim() === "") return null;
+    let jsonString = googleChunk.replace(/^data:\s*/, "").trim();
+    if (!jsonString || jsonString === "[DONE]") return null;
+
+    try {
+      const googleResponse = JSON.parse(jsonString);
+      if (streamState && googleResponse.usageMetadata) streamState.usageMetadata = googleResponse.usageMetadata;
+      const candidate = googleResponse.candidates?.[0];
+      if (!candidate) return null;
+
+      let content = "";
+      let reasoningContent = "";
+      const toolCalls = [];
+      const images = [];
+      if (candidate.content && Array.isArray(candidate.content.parts)) {
+        candidate.content.parts.forEach((p) => {
+          if (p.functionCall) {
+            const toolCall = this._buildOpenAIToolCall(p.functionCall, p.thoughtSignature);
+            toolCalls.push({ index: streamState ? streamState.toolCallIndex++ : toolCalls.length, ...toolCall });
+          }
+          else if (p.inlineData) {
+            const image = this._formatOpenAIImage(p.inlineData, streamState?.baseUrl, this.config.imageStreamChunkSize);
+            if (image.part) images.push(image.part);
+            else content += image.text;
+          }
+          else if (p.thought) reasoningContent += p.text || "";
+          else content += p.text || "";
+        });
+      }
+      if (streamState && toolCalls.length > 0) streamState.hasToolCalls = true;
+
+      const delta = {};
+      if (content) delta.content = content;
+      if (reasoningContent) delta.reasoning_content = reasoningContent;
+      if (toolCalls.length > 0) delta.tool_calls = toolCalls;
+      if (images.length > 0) delta.images = images;
+
+      if (Object.keys(delta).length === 0 && !candidate.finishReason) return null;
+
+      // 内联图片的 base64 可能有数 MB，拆成多个 SSE 事件发送，结束原因只附在最后一个事件上
+      const deltas = [delta];
+      if (content) {
+        this._splitStreamContent(content).forEach((piece, index) => {
+          if (index === 0) delta.content = piece;
+          else deltas.push({ content: piece });
+        });
+      }
+      if (images.length > 1) {
+        delta.images = [images[0]];
+        images.slice(1).forEach((image) => deltas.push({ images: [image] }));
+      }
+
+      const hasToolCalls = streamState ? streamState.hasToolCalls : toolCalls.length > 0;
+      const id = streamState?.id || `chatcmpl-${this._generateRequestId()}`;
+      return deltas.map((item, index) => `data: ${JSON.stringify({
+        id,
+        object: "chat.completion.chunk",
+        created: Math.floor(Date.now() / 1000),
+        model: modelName,
+        choices: [{
+          index: 0,
+          delta: item,
+          finish_reason: index === deltas.length - 1 ? this._mapFinishReasonToOpenAI(candidate.finishReason, hasToolCalls) : null,
+        }],
+        ...(streamState?.includeUsage && { usage: null }),
+      })}\n\n`).join("");
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // 按 IMAGE_OUTPUT_FORMAT 转换 Gemini 返回的图片：markdown（data URL）、url（本服务提供的短期链接）或 parts（结构化的 image_url 内容）。
+  // parts 格式的图片无法像文本一样拆分，data URL 超过 maxInlineLength 时改用短期链接
+  _formatOpenAIImage(inlineData, baseUrl = "", maxInlineLength = Infinity) {
+    const mimeType = inlineData.mimeType || "image/png";
+    let url = `data:${mimeType};base64,${inlineData.data}`;
+    const format = this.config.imageOutputFormat;
+    if (format === "url" || (format === "parts" && url.length > maxInlineLength)) {
+      url = `${baseUrl}/images/${this.imageStore.save(mimeType, inlineData.data)}`;
+    }
+    if (format === "parts") {
+      return { part: { type: "image_url", image_url: { url } } };
+    }
+    return { text: `![Generated Image](${url})\n` };
+  }
+
+  // 图片链接需要客户端可访问的地址，优先使用 PUBLIC_URL，否则按请求的 Host 推断
+  _getPublicBaseUrl(req) {
+    if (this.config.publicUrl) return this.config.publicUrl.replace(/\/+$/, "");
+    const protocol = (req.get("x-forwarded-proto") || req.protocol || "http").split(",")[0].trim();
+    return `${protocol}://${req.get("x-forwarded-host") || req.get("host")}`;
+  }
+
+  // 按 IMAGE_STREAM_CHUNK_SIZE 切分过长的流式文本，不在代理对中间断开
+  _splitStreamContent(text) {
+    const size = Math.max(2, this.config.imageStreamChunkSize);
+    if (text.length <= size) return [text];
+    const pieces = [];
+    let start = 0;
+    while (start < text.length) {
+      let end = Math.min(start + size, text.length);
+      const code = text.charCodeAt(end);
+      if (end < text.length && code >= 0xdc00 && code <= 0xdfff) end--;
+      pieces.push(text.slice(start, end));
+      start = end;
+    }
+    return pieces;
+  }
 
-      res.status(200).json({ object: "list", data: openaiModels });
-    } catch (error) {
-      this._sendErrorResponse(res, 500, "Failed to fetch model list.");
-    } finally {
-      this.connectionRegistry.removeMessageQueue(requestId);
+  // OpenAI 消息中的单个内容块 -> Gemini part；无法处理的内容直接报错，避免被静默丢弃
+  _translateOpenAIContentPart(part) {
+    switch (part.type) {
+      case "text":
+        return { text: part.text };
+      case "image_url": {
+        const url = typeof part.image_url === "string" ? part.image_url : part.image_url?.url;
+        const inlineData = this._parseMediaData(url);
+        if (!inlineData) throw new Error("image_url must be a base64 data URL or an http(s) URL.");
+        return { inlineData };
+      }
+      case "input_audio": {
+        const audio = part.input_audio || {};
+        if (typeof audio.data !== "string" || !audio.data) throw new Error("input_audio.data must be base64 encoded audio.");
+        const mimeType = MEDIA_TYPES_BY_EXTENSION[String(audio.format || "wav").toLowerCase()];
+        if (!mimeType || !mimeType.startsWith("audio/")) throw new Error(`Unsupported input_audio format "${audio.format}".`);
+        return { inlineData: { mimeType, data: audio.data } };
+      }
+      case "file": {
+        const file = part.file || {};
+        if (file.file_id && !file.file_data) {
+          throw new Error("file_id is not supported, send the file content as file_data instead.");
+        }
+        const inlineData = this._parseMediaData(file.file_data, file.filename);
+        if (!inlineData) throw new Error("file.file_data must be a base64 data URL, or base64 data with a filename.");
+        return { inlineData };
+      }
+      default:
+        throw new Error(`Unsupported content part type "${part.type}".`);
     }
   }
 
-  _cancelBrowserRequest(requestId) {
-    const connection = this.connectionRegistry.getFirstConnection();
-    if (connection) {
-      connection.send(JSON.stringify({ event_type: "cancel_request", request_id: requestId }));
+  // 解析 data URL（或带文件名的裸 base64）为 inlineData，只接受 Gemini 能处理的媒体类型
+  _parseMediaData(value, filename = null) {
+    if (typeof value !== "string") return null;
+    let mimeType, data;
+    const dataUrl = value.match(/^data:([^;,]+)(?:;[^,;]+)*;base64,(.*)$/s);
+    if (dataUrl) {
+      mimeType = dataUrl[1].toLowerCase();
+      data = dataUrl[2];
+    } else if (filename && /^[A-Za-z0-9+/=\s]+$/.test(value)) {
+      const extension = path.extname(filename).slice(1).toLowerCase();
+      mimeType = MEDIA_TYPES_BY_EXTENSION[extension];
+      if (!mimeType) throw new Error(`Cannot determine the media type of "${filename}", send it as a data URL instead.`);
+      data = value.replace(/\s/g, "");
+    } else {
+      return null;
     }
+    if (!/^(image|audio|video|text)\/|^application\/(pdf|json)$/.test(mimeType)) {
+      throw new Error(`Unsupported media type "${mimeType}".`);
+    }
+    return { mimeType, data };
   }
 
-  _generateRequestId() {
-    return `${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+  // 把远程图片链接下载后替换为 data URL，同一链接只下载一次
+  async _inlineRemoteImages(openaiBody) {
+    const downloads = new Map();
+    for (const message of openaiBody.messages || []) {
+      if (!Array.isArray(message.content)) continue;
+      for (const part of message.content) {
+        if (part.type !== "image_url") continue;
+        const url = typeof part.image_url === "string" ? part.image_url : part.image_url?.url;
+        if (typeof url !== "string" || !/^https?:\/\//i.test(url)) continue;
+        if (!downloads.has(url)) downloads.set(url, this._fetchRemoteImage(url));
+        const image = await downloads.get(url);
+        part.image_url = { url: `data:${image.mimeType};base64,${image.data}` };
+      }
+    }
   }
 
-  _buildProxyRequest(req, requestId) {
-    let finalBody = req.body;
-    if (this.serverSystem.enableNativeReasoning &&
-      (req.path.includes("generateContent") || req.path.includes("streamGenerateContent"))) {
+  // 下载远程图片：每次跳转都检查 REMOTE_IMAGE_ALLOWLIST，连接时检查解析出的 IP，超过 REMOTE_IMAGE_MAX_SIZE 立即中止
+  async _fetchRemoteImage(url) {
+    const signal = AbortSignal.timeout(this.config.remoteImageTimeout);
+    let target = url;
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      const { protocol, hostname } = new URL(target);
+      if (!["http:", "https:"].includes(protocol)) throw new Error(`Image URL ${url} redirects to an unsupported protocol.`);
+      if (!this._isRemoteHostAllowed(hostname)) {
+        throw new Error(`Image host "${hostname}" is not allowed, add it to REMOTE_IMAGE_ALLOWLIST.`);
+      }
+      // IP 字面量连接时不会经过 lookup，直接检查
+      const literal = hostname.replace(/^\[|\]$/g, "");
+      if (net.isIP(literal)) this._assertPublicAddress(literal, literal, net.isIP(literal));
       try {
-        finalBody = JSON.parse(JSON.stringify(req.body));
-        if (!finalBody.generationConfig) finalBody.generationConfig = {};
-        finalBody.generationConfig.thinkingConfig = { includeThoughts: true };
-      } catch (e) { }
+        response = await undiciFetch(target, { redirect: "manual", signal, dispatcher: this.remoteImageAgent });
+      } catch (error) {
+        throw new Error(`Failed to fetch image ${url}: ${error.cause?.message || error.message}`);
+      }
+      const location = response.headers.get("location");
+      if (response.status < 300 || response.status >= 400 || !location) break;
+      if (redirects >= 5) throw new Error(`Failed to fetch image ${url}: too many redirects.`);
+      target = new URL(location, target).href;
     }
+    if (!response.ok) throw new Error(`Failed to fetch image ${url}: HTTP ${response.status}.`);
 
-    return {
-      path: req.path,
-      method: req.method,
-      headers: req.headers,
-      query_params: req.query,
-      body: finalBody ? JSON.stringify(finalBody) : "",
-      request_id: requestId,
-      streaming_mode: this.serverSystem.streamingMode,
-      resume_on_prohibit: this.serverSystem.enableResume,
-      resume_limit: this.serverSystem.resumeLimit
-    };
-  }
+    const mimeType = (response.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    if (!mimeType.startsWith("image/")) throw new Error(`URL ${url} is not an image (${mimeType || "unknown type"}).`);
+    const maxSize = this.config.remoteImageMaxSize;
+    const tooLarge = new Error(`Image ${url} exceeds the ${maxSize} byte limit.`);
+    if (Number(response.headers.get("content-length")) > maxSize) throw tooLarge;
 
-  _forwardRequest(proxyRequest) {
-    const connection = this.connectionRegistry.getFirstConnection();
-    if (connection) {
-      connection.send(JSON.stringify(proxyRequest));
-    } else {
-      throw new Error("No available browser connection.");
+    const chunks = [];
+    let size = 0;
+    try {
+      for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > maxSize) throw tooLarge;
+        chunks.push(chunk);
+      }
+    } catch (error) {
+      if (error === tooLarge) throw error;
+      throw new Error(`Failed to fetch image ${url}: ${error.message}`);
     }
+    return { mimeType, data: Buffer.concat(chunks).toString("base64") };
   }
 
-  _sendErrorChunkToClient(res, errorMessage) {
-    const chunk = `data: ${JSON.stringify({ error: { message: errorMessage, code: "proxy_error" } })}\n\n`;
-    if (res && !res.writableEnded) res.write(chunk);
+  // REMOTE_IMAGE_ALLOWLIST 为空时禁止下载，"*" 允许所有域名，"*.example.com" 匹配其所有子域名
+  _isRemoteHostAllowed(hostname) {
+    const allowlist = this.config.remoteImageAllowlist;
+    const host = hostname.toLowerCase();
+    return allowlist.some((pattern) => {
+      pattern = pattern.toLowerCase();
+      if (pattern === "*") return true;
+      return pattern.startsWith("*.") ? host.endsWith(pattern.slice(1)) : host === pattern;
+    });
   }
 
-  async _handlePseudoStreamResponse(proxyRequest, messageQueue, req, res) {
-    // [优化] 日志更简洁
-    this.logger.info(`[Request] 使用 Fake Stream 模式处理...`);
-    res.status(200).set({
-      "Content-Type": "text/event-stream",
-      "Cache-Control": "no-cache",
-      Connection: "keep-alive",
+  // 远程图片连接使用的 DNS 解析：任一地址属于本机或内网即拒绝，避免借远程图片访问内部服务
+  _lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(new Error(`Failed to resolve image host "${hostname}": ${error.code || error.message}`));
+      try {
+        addresses.forEach(({ address, family }) => this._assertPublicAddress(hostname, address, family));
+      } catch (blocked) {
+        return callback(blocked);
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
     });
-    const connectionMaintainer = setInterval(() => {
-      if (!res.writableEnded) res.write(": keep-alive\n\n");
-    }, 3000);
+  }
 
-    try {
-      let lastMessage, requestFailed = false;
+  _assertPublicAddress(host, address, family) {
+    if (BLOCKED_REMOTE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4")) {
+      throw new Error(`Image host "${host}" resolves to a private address (${address}).`);
+    }
+  }
 
-      for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-        if(attempt > 1) this.logger.info(`[Request] 重试 #${attempt}...`);
-        
-        this._forwardRequest(proxyRequest);
-        try {
-          const timeoutPromise = new Promise((_, reject) => setTimeout(() => reject(new Error("Timeout")), 300000));
-          lastMessage = await Promise.race([messageQueue.dequeue(), timeoutPromise]);
-        } catch (timeoutError) {
-          lastMessage = { event_type: "error", status: 504, message: "Timeout" };
-        }
+  _translateAnthropicToGoogle(anthropicBody, modelName = "") {
+    const googleContents = [];
+    const toolUseNames = new Map();
 
-        if (lastMessage.event_type === "error") {
-          if (!lastMessage.message?.includes("aborted")) {
-             // 只有非用户取消的错误才重试
-             if (attempt < this.maxRetries) {
-                await new Promise((resolve) => setTimeout(resolve, this.retryDelay));
-                continue;
-             }
-             requestFailed = true;
+    let systemText = "";
+    if (typeof anthropicBody.system === "string") {
+      systemText = anthropicBody.system;
+    } else if (Array.isArray(anthropicBody.system)) {
+      systemText = anthropicBody.system.filter((b) => b.type === "text").map((b) => b.text).join("\n");
+    }
+
+    for (const message of anthropicBody.messages || []) {
+      const role = message.role === "assistant" ? "model" : "user";
+      const blocks = typeof message.content === "string"
+        ? [{ type: "text", text: message.content }]
+        : (message.content || []);
+      const googleParts = [];
+      let isFirstCall = true;
+
+      for (const block of blocks) {
+        switch (block.type) {
+          case "text":
+            if (block.text) googleParts.push({ text: block.text });
+            break;
+          case "image":
+            googleParts.push(this._translateAnthropicImage(block));
+            break;
+          case "thinking":
+            if (block.thinking) {
+              googleParts.push({
+                text: block.thinking,
+                thought: true,
+                ...(block.signature && { thoughtSignature: block.signature }),
+              });
+            }
+            break;
+          case "redacted_thinking":
+            break;
+          case "tool_use": {
+            toolUseNames.set(block.id, block.name);
+            const callPart = { functionCall: { name: block.name, args: block.input || {} } };
+            const signature = this.toolCallSignatures.get(block.id) ||
+              (isFirstCall && modelName.includes("gemini-3") ? "skip_thought_signature_validator" : null);
+            if (signature) callPart.thoughtSignature = signature;
+            googleParts.push(callPart);
+            isFirstCall = false;
+            break;
+          }
+          case "tool_result": {
+            const resultBlocks = typeof block.content === "string"
+              ? [{ type: "text", text: block.content }]
+              : (block.content || []);
+            const resultText = resultBlocks.filter((b) => b.type === "text").map((b) => b.text).join("");
+            const response = this._parseToolResultContent(resultText);
+            googleParts.push({
+              functionResponse: {
+                name: toolUseNames.get(block.tool_use_id) || "unknown_function",
+                response: block.is_error ? { error: resultText } : response,
+              },
+            });
+            for (const resultBlock of resultBlocks) {
+              if (resultBlock.type === "image") googleParts.push(this._translateAnthropicImage(resultBlock));
+            }
+            break;
           }
+          default:
+            throw new Error(`Unsupported content block type "${block.type}".`);
         }
-        break;
       }
 
-      if (requestFailed) {
-        await this._handleRequestFailureAndSwitch(lastMessage, res);
-        this._sendErrorChunkToClient(res, lastMessage.message);
-        return;
-      }
+      if (googleParts.length === 0) continue;
+      googleContents.push({ role, parts: googleParts });
+    }
 
-      if (this.failureCount > 0) this.failureCount = 0;
+    const googleRequest = {
+      contents: googleContents,
+      ...(systemText && { systemInstruction: { parts: [{ text: systemText }] } }),
+      generationConfig: {
+        temperature: anthropicBody.temperature,
+        topP: anthropicBody.top_p,
+        topK: anthropicBody.top_k,
+        maxOutputTokens: anthropicBody.max_tokens,
+        stopSequences: anthropicBody.stop_sequences,
+      },
+      safetySettings: [
+        { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
+        { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
+        { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
+        { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
+      ]
+    };
 
-      const dataMessage = await messageQueue.dequeue();
-      const endMessage = await messageQueue.dequeue();
-      if (dataMessage.data) res.write(`data: ${dataMessage.data}\n\n`);
-      
-      try {
-        const fullResponse = JSON.parse(dataMessage.data);
-        const finishReason = fullResponse.candidates?.[0]?.finishReason || "UNKNOWN";
-        this.logger.info(`✅ [Request] Done (Reason: ${finishReason})`);
-      } catch (e) {}
-      
-      res.write("data: [DONE]\n\n");
-    } catch (error) {
-      this._handleRequestError(error, res);
-    } finally {
-      clearInterval(connectionMaintainer);
-      if (!res.writableEnded) res.end();
+    const functionDeclarations = (anthropicBody.tools || [])
+      .filter((tool) => tool.name && tool.input_schema)
+      .map((tool) => ({
+        name: tool.name,
+        ...(tool.description && { description: tool.description }),
+        parameters: this._sanitizeSchemaForGoogle(tool.input_schema),
+      }));
+    if (functionDeclarations.length > 0) {
+      googleRequest.tools = [{ functionDeclarations }];
     }
-  }
 
-  async _handleRealStreamResponse(proxyRequest, messageQueue, res) {
-    // [优化] 移除 "已派发" 日志
-    this._forwardRequest(proxyRequest);
-    const headerMessage = await messageQueue.dequeue();
+    const toolChoice = anthropicBody.tool_choice;
+    if (toolChoice) {
+      const modeMap = { auto: "AUTO", any: "ANY", tool: "ANY", none: "NONE" };
+      const functionCallingConfig = { mode: modeMap[toolChoice.type] || "AUTO" };
+      if (toolChoice.type === "tool" && toolChoice.name) {
+        functionCallingConfig.allowedFunctionNames = [toolChoice.name];
+      }
+      googleRequest.toolConfig = { functionCallingConfig };
+    }
 
-    if (headerMessage.event_type === "error") {
-      this.logger.error(`[Request] 错误: ${headerMessage.message}`);
-      await this._handleRequestFailureAndSwitch(headerMessage, null);
-      return this._sendErrorResponse(res, headerMessage.status, headerMessage.message);
+    if (anthropicBody.thinking?.type === "enabled") {
+      googleRequest.generationConfig.thinkingConfig = {
+        includeThoughts: true,
+        ...(anthropicBody.thinking.budget_tokens && { thinkingBudget: anthropicBody.thinking.budget_tokens }),
+      };
+    } else if (this.serverSystem.enableReasoning) {
+      googleRequest.generationConfig.thinkingConfig = { includeThoughts: true };
     }
 
-    if (this.failureCount > 0) this.failureCount = 0;
+    return googleRequest;
+  }
 
-    this._setResponseHeaders(res, headerMessage, true);
-    
-    let capturedFinishReason = "UNKNOWN";
-    try {
-      while (true) {
-        const dataMessage = await messageQueue.dequeue(30000);
-        if (dataMessage.type === "STREAM_END") break;
-        if (dataMessage.data) {
-          res.write(dataMessage.data);
-          const match = dataMessage.data.match(/"finishReason"\s*:\s*"([^"]+)"/);
-          if (match) capturedFinishReason = match[1];
-        }
-      }
-      this.logger.info(`✅ [Request] Done (Reason: ${capturedFinishReason})`);
-    } catch (error) {
-      if (error.message !== "Queue timeout") throw error;
-    } finally {
-      if (!res.writableEnded) res.end();
+  _translateAnthropicImage(block) {
+    if (block.source?.type !== "base64") {
+      throw new Error(`Unsupported image source type "${block.source?.type}".`);
     }
+    return { inlineData: { mimeType: block.source.media_type, data: block.source.data } };
   }
 
-  async _handleNonStreamResponse(proxyRequest, messageQueue, res) {
-    // [优化] 移除 "进入非流式模式" 日志
-    this._forwardRequest(proxyRequest);
-
-    try {
-      const headerMessage = await messageQueue.dequeue();
-      if (headerMessage.event_type === "error") {
-        this.logger.error(`[Request] 错误: ${headerMessage.message}`);
-        await this._handleRequestFailureAndSwitch(headerMessage, null);
-        return this._sendErrorResponse(res, headerMessage.status || 500, headerMessage.message);
-      }
-
-      let fullBody = "";
-      while (true) {
-        const message = await messageQueue.dequeue(300000);
-        if (message.type === "STREAM_END") break;
-        if (message.event_type === "chunk" && message.data) fullBody += message.data;
-      }
+  _buildAnthropicToolUse(functionCall, thoughtSignature) {
+    const toolUseId = `toolu_${crypto.randomBytes(12).toString("hex")}`;
+    if (thoughtSignature) this._rememberToolCallSignature(toolUseId, thoughtSignature);
+    return { type: "tool_use", id: toolUseId, name: functionCall.name, input: functionCall.args || {} };
+  }
 
-      if (this.failureCount > 0) this.failureCount = 0;
+  _mapFinishReasonToAnthropic(finishReason, hasToolUse = false) {
+    if (hasToolUse) return "tool_use";
+    switch (finishReason) {
+      case "MAX_TOKENS":
+        return "max_tokens";
+      case "SAFETY":
+      case "RECITATION":
+      case "BLOCKLIST":
+      case "PROHIBITED_CONTENT":
+      case "SPII":
+        return "refusal";
+      default:
+        return "end_turn";
+    }
+  }
 
-      // 图片处理逻辑...
-      try {
-        let parsedBody = JSON.parse(fullBody);
-        const candidate = parsedBody.candidates?.[0];
-        if (candidate?.content?.parts?.some(p => p.inlineData)) {
-           // ...转换逻辑 (保持原样，但省略日志) ...
-           const imagePartIndex = candidate.content.parts.findIndex(p => p.inlineData);
-           if(imagePartIndex > -1) {
-             const image = candidate.content.parts[imagePartIndex].inlineData;
-             candidate.content.parts[imagePartIndex] = { text: `![Image](data:${image.mimeType};base64,${image.data})` };
-             fullBody = JSON.stringify(parsedBody);
-           }
-        }
-        
-        const finishReason = candidate?.finishReason || "UNKNOWN";
-        this.logger.info(`✅ [Request] Done (Reason: ${finishReason})`);
-      } catch (e) {}
+  _translateGoogleUsageToAnthropic(usageMetadata) {
+    const usage = usageMetadata || {};
+    return {
+      input_tokens: usage.promptTokenCount || 0,
+      output_tokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+      ...(usage.cachedContentTokenCount && { cache_read_input_tokens: usage.cachedContentTokenCount }),
+    };
+  }
 
-      res.status(headerMessage.status || 200).type("application/json").send(fullBody || "{}");
-    } catch (error) {
-      this._handleRequestError(error, res);
+  _writeAnthropicEvent(res, eventType, payload) {
+    if (res && !res.writableEnded) {
+      res.write(`event: ${eventType}\ndata: ${JSON.stringify(payload)}\n\n`);
     }
   }
 
-  _setResponseHeaders(res, headerMessage, isStream = false) {
-    res.status(headerMessage.status || 200);
-    const headers = headerMessage.headers || {};
-    Object.entries(headers).forEach(([name, value]) => {
-      if (name.toLowerCase() === "content-length") return;
-      if (isStream && name.toLowerCase() === "content-type") return;
-      res.set(name, value);
+  _openAnthropicBlock(res, streamState, contentBlock) {
+    this._closeAnthropicBlock(res, streamState);
+    streamState.blockIndex++;
+    streamState.openBlockType = contentBlock.type;
+    this._writeAnthropicEvent(res, "content_block_start", {
+      type: "content_block_start",
+      index: streamState.blockIndex,
+      content_block: contentBlock,
     });
+  }
 
-    if (isStream) {
-      res.set("Content-Type", "text/event-stream");
-      res.set("Cache-Control", "no-cache");
-      res.set("Connection", "keep-alive");
+  _closeAnthropicBlock(res, streamState) {
+    if (!streamState.openBlockType) return;
+    if (streamState.openBlockType === "thinking" && streamState.pendingSignature) {
+      this._writeAnthropicEvent(res, "content_block_delta", {
+        type: "content_block_delta",
+        index: streamState.blockIndex,
+        delta: { type: "signature_delta", signature: streamState.pendingSignature },
+      });
     }
+    streamState.pendingSignature = null;
+    this._writeAnthropicEvent(res, "content_block_stop", { type: "content_block_stop", index: streamState.blockIndex });
+    streamState.openBlockType = null;
   }
 
-  _handleRequestError(error, res) {
-    if (res.headersSent) {
-      if (!res.writableEnded) res.end();
-    } else {
-      this.logger.error(`[Request] 异常: ${error.message}`);
-      const status = error.message.includes("Timeout") ? 504 : 500;
-      this._sendErrorResponse(res, status, error.message);
+  _translateGoogleToAnthropicStream(googleChunk, streamState) {
+    const jsonString = googleChunk.replace(/^data:\s*/, "").trim();
+    if (!jsonString || jsonString === "[DONE]") return null;
+
+    let googleResponse;
+    try {
+      googleResponse = JSON.parse(jsonString);
+    } catch (e) {
+      return null;
     }
-  }
 
-  _sendErrorResponse(res, status, message) {
-    if (!res.headersSent) {
-      res.status(status || 500).json({ error: { code: status || 500, message: message, status: "SERVICE_UNAVAILABLE" } });
+    // 借用一个内存缓冲收集本块生成的所有事件
+    let output = "";
+    const sink = { writableEnded: false, write: (data) => { output += data; } };
+
+    if (googleResponse.usageMetadata) streamState.usageMetadata = googleResponse.usageMetadata;
+    const candidate = googleResponse.candidates?.[0];
+    if (!candidate) return null;
+    if (candidate.finishReason) streamState.finishReason = candidate.finishReason;
+
+    for (const p of candidate.content?.parts || []) {
+      if (p.functionCall) {
+        const toolUse = this._buildAnthropicToolUse(p.functionCall, p.thoughtSignature);
+        this._openAnthropicBlock(sink, streamState, { type: "tool_use", id: toolUse.id, name: toolUse.name, input: {} });
+        this._writeAnthropicEvent(sink, "content_block_delta", {
+          type: "content_block_delta",
+          index: streamState.blockIndex,
+          delta: { type: "input_json_delta", partial_json: JSON.stringify(toolUse.input) },
+        });
+        this._closeAnthropicBlock(sink, streamState);
+        streamState.hasToolUse = true;
+      } else if (p.thought) {
+        if (streamState.openBlockType !== "thinking") {
+          this._openAnthropicBlock(sink, streamState, { type: "thinking", thinking: "" });
+        }
+        if (p.text) {
+          this._writeAnthropicEvent(sink, "content_block_delta", {
+            type: "content_block_delta",
+            index: streamState.blockIndex,
+            delta: { type: "thinking_delta", thinking: p.text },
+          });
+        }
+        if (p.thoughtSignature) streamState.pendingSignature = p.thoughtSignature;
+      } else {
+        const text = p.inlineData
+          ? `![Generated Image](data:${p.inlineData.mimeType};base64,${p.inlineData.data})\n`
+          : (p.text || "");
+        if (!text) continue;
+        if (streamState.openBlockType !== "text") {
+          this._openAnthropicBlock(sink, streamState, { type: "text", text: "" });
+        }
+        this._writeAnthropicEvent(sink, "content_block_delta", {
+          type: "content_block_delta",
+          index: streamState.blockIndex,
+          delta: { type: "text_delta", text },
+        });
+      }
     }
+
+    return output || null;
   }
 
-  _translateOpenAIToGoogle(openaiBody, modelName = "") {
-    // [优化] 移除 "开始翻译" 日志
-    let systemInstruction = null;
-    const googleContents = [];
+  _sendAnthropicError(res, status, message) {
+    if (res.headersSent) return;
+    const errorTypes = {
+      400: "invalid_request_error",
+      401: "authentication_error",
+      403: "permission_error",
+      404: "not_found_error",
+      429: "rate_limit_error",
+      503: "overloaded_error",
+    };
+    res.status(status || 500).json({
+      type: "error",
+      error: { type: errorTypes[status] || "api_error", message: message },
+    });
+  }
 
-    const systemMessages = openaiBody.messages.filter((msg) => msg.role === "system");
-    if (systemMessages.length > 0) {
-      systemInstruction = { role: "system", parts: [{ text: systemMessages.map((msg) => msg.content).join("\n") }] };
+  _translateResponsesToChat(responsesBody, owner = null) {
+    const messages = [];
+    if (responsesBody.instructions) {
+      // instructions 不会随 previous_response_id 继承，存储历史时需要剔除
+      messages.push({ role: "system", content: responsesBody.instructions, isInstructions: true });
+    }
+
+    if (responsesBody.previous_response_id) {
+      // 其他 Key 创建的对话按不存在处理，不暴露其是否存在
+      const history = this.conversationStore.get(responsesBody.previous_response_id, owner);
+      if (!history) {
+        const error = new Error(`Previous response with id '${responsesBody.previous_response_id}' not found.`);
+        error.status = 404;
+        throw error;
+      }
+      messages.push(...history);
     }
 
-    const conversationMessages = openaiBody.messages.filter((msg) => msg.role !== "system");
-    for (const message of conversationMessages) {
-      const googleParts = [];
-      if (typeof message.content === "string") {
-        googleParts.push({ text: message.content });
-      } else if (Array.isArray(message.content)) {
-        for (const part of message.content) {
-          if (part.type === "text") {
-            googleParts.push({ text: part.text });
-          } else if (part.type === "image_url") {
-            const match = part.image_url.url.match(/^data:(image\/.*?);base64,(.*)$/);
-            if (match) googleParts.push({ inlineData: { mimeType: match[1], data: match[2] } });
-          }
+    const inputItems = typeof responsesBody.input === "string"
+      ? [{ type: "message", role: "user", content: responsesBody.input }]
+      : (responsesBody.input || []);
+
+    for (const item of inputItems) {
+      const itemType = item.type || "message";
+      if (itemType === "message") {
+        const content = typeof item.content === "string"
+          ? item.content
+          : (item.content || []).map((part) => {
+            if (part.type === "input_text" || part.type === "output_text") return { type: "text", text: part.text };
+            if (part.type === "input_image") return { type: "image_url", image_url: { url: part.image_url } };
+            if (part.type === "input_file") {
+              return { type: "file", file: { file_data: part.file_data, file_id: part.file_id, filename: part.filename } };
+            }
+            throw new Error(`Unsupported content part type "${part.type}".`);
+          });
+        if (item.role === "system" || item.role === "developer") {
+          const systemText = typeof content === "string" ? content : content.map((part) => part.text || "").join("");
+          messages.push({ role: "system", content: systemText });
+        } else {
+          messages.push({ role: item.role, content });
+        }
+      } else if (itemType === "function_call") {
+        const toolCall = {
+          id: item.call_id,
+          type: "function",
+          function: { name: item.name, arguments: item.arguments || "{}" },
+        };
+        const lastMessage = messages[messages.length - 1];
+        if (lastMessage && lastMessage.role === "assistant" && lastMessage.tool_calls) {
+          lastMessage.tool_calls.push(toolCall);
+        } else {
+          messages.push({ role: "assistant", content: null, tool_calls: [toolCall] });
         }
+      } else if (itemType === "function_call_output") {
+        messages.push({ role: "tool", tool_call_id: item.call_id, content: item.output });
+      } else if (itemType === "reasoning") {
+        continue;
+      } else {
+        throw new Error(`Unsupported input item type "${itemType}".`);
       }
-      googleContents.push({ role: message.role === "assistant" ? "model" : "user", parts: googleParts });
     }
 
-    const googleRequest = {
-      contents: googleContents,
-      ...(systemInstruction && { systemInstruction: { parts: systemInstruction.parts } }),
-      generationConfig: {
-        temperature: openaiBody.temperature,
-        topP: openaiBody.top_p,
-        topK: openaiBody.top_k,
-        maxOutputTokens: openaiBody.max_tokens,
-        stopSequences: openaiBody.stop,
-      },
-      safetySettings: [
-        { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-        { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-        { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
-        { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
-      ]
+    const toolChoice = responsesBody.tool_choice;
+    return {
+      messages,
+      temperature: responsesBody.temperature,
+      top_p: responsesBody.top_p,
+      max_tokens: responsesBody.max_output_tokens,
+      tools: (responsesBody.tools || [])
+        .filter((tool) => tool.type === "function")
+        .map((tool) => ({
+          type: "function",
+          function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+        })),
+      tool_choice: toolChoice && toolChoice.type === "function"
+        ? { type: "function", function: { name: toolChoice.name } }
+        : toolChoice,
     };
+  }
 
-    if (this.serverSystem.enableReasoning) {
-        googleRequest.generationConfig.thinkingConfig = { includeThoughts: true };
+  _applyResponsesOptions(responsesBody, googleBody, modelName) {
+    const effort = responsesBody.reasoning?.effort;
+    if (effort) {
+      if (modelName.includes("gemini-3")) {
+        const level = ["minimal", "low"].includes(effort) ? "low" : "high";
+        googleBody.generationConfig.thinkingConfig = { includeThoughts: true, thinkingLevel: level };
+      } else {
+        const budgets = { minimal: 512, low: 1024, medium: 8192, high: 24576 };
+        googleBody.generationConfig.thinkingConfig = { includeThoughts: true, thinkingBudget: budgets[effort] ?? -1 };
+      }
+    } else if (responsesBody.reasoning?.summary) {
+      googleBody.generationConfig.thinkingConfig = { includeThoughts: true };
     }
 
-    return googleRequest;
+    const format = responsesBody.text?.format;
+    if (format?.type === "json_schema") {
+      googleBody.generationConfig.responseMimeType = "application/json";
+      if (format.schema) googleBody.generationConfig.responseSchema = this._sanitizeSchemaForGoogle(format.schema);
+    } else if (format?.type === "json_object") {
+      googleBody.generationConfig.responseMimeType = "application/json";
+    }
   }
 
-  _translateGoogleToOpenAIStream(googleChunk, modelName = "gemini-pro") {
-    if (!googleChunk || googleChunk.trim() === "") return null;
-    let jsonString = googleChunk.startsWith("data: ") ? googleChunk.substring(6).trim() : googleChunk;
-    if (!jsonString || jsonString === "[DONE]") return null;
-
-    try {
-      const googleResponse = JSON.parse(jsonString);
-      const candidate = googleResponse.candidates?.[0];
-      if (!candidate) return null;
-
-      let content = "";
-      let reasoningContent = "";
-      if (candidate.content && Array.isArray(candidate.content.parts)) {
-        candidate.content.parts.forEach((p) => {
-          if (p.inlineData) content += `![Image]`; // 流式图片简化处理
-          else if (p.thought) reasoningContent += p.text || "";
-          else content += p.text || "";
+  _applyGoogleChunkToResponse(googleResponse, state) {
+    if (googleResponse.usageMetadata) state.usageMetadata = googleResponse.usageMetadata;
+    const candidate = googleResponse.candidates?.[0];
+    if (!candidate) return;
+    if (candidate.finishReason) state.finishReason = candidate.finishReason;
+
+    for (const p of candidate.content?.parts || []) {
+      if (p.functionCall) {
+        this._closeResponseItem(state);
+        const toolCall = this._buildOpenAIToolCall(p.functionCall, p.thoughtSignature);
+        const item = {
+          id: `fc_${crypto.randomBytes(12).toString("hex")}`,
+          type: "function_call",
+          status: "completed",
+          call_id: toolCall.id,
+          name: toolCall.function.name,
+          arguments: toolCall.function.arguments,
+        };
+        const outputIndex = state.response.output.push(item) - 1;
+        state.emit("response.output_item.added", { output_index: outputIndex, item: { ...item, arguments: "", status: "in_progress" } });
+        state.emit("response.function_call_arguments.delta", { item_id: item.id, output_index: outputIndex, delta: item.arguments });
+        state.emit("response.function_call_arguments.done", { item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+        state.emit("response.output_item.done", { output_index: outputIndex, item });
+      } else if (p.thought) {
+        if (!p.text) continue;
+        if (state.current?.item.type !== "reasoning") {
+          this._openResponseItem(state, { id: `rs_${crypto.randomBytes(12).toString("hex")}`, type: "reasoning", summary: [] });
+          state.current.item.summary.push({ type: "summary_text", text: "" });
+          state.emit("response.reasoning_summary_part.added", {
+            item_id: state.current.item.id,
+            output_index: state.current.outputIndex,
+            summary_index: 0,
+            part: { type: "summary_text", text: "" },
+          });
+        }
+        state.current.item.summary[0].text += p.text;
+        state.emit("response.reasoning_summary_text.delta", {
+          item_id: state.current.item.id,
+          output_index: state.current.outputIndex,
+          summary_index: 0,
+          delta: p.text,
+        });
+      } else {
+        const text = p.inlineData
+          ? `![Generated Image](data:${p.inlineData.mimeType};base64,${p.inlineData.data})\n`
+          : (p.text || "");
+        if (!text) continue;
+        if (state.current?.item.type !== "message") {
+          this._openResponseItem(state, {
+            id: `msg_${crypto.randomBytes(12).toString("hex")}`,
+            type: "message",
+            status: "in_progress",
+            role: "assistant",
+            content: [],
+          });
+          state.current.item.content.push({ type: "output_text", text: "", annotations: [] });
+          state.emit("response.content_part.added", {
+            item_id: state.current.item.id,
+            output_index: state.current.outputIndex,
+            content_index: 0,
+            part: { type: "output_text", text: "", annotations: [] },
+          });
+        }
+        state.current.item.content[0].text += text;
+        state.emit("response.output_text.delta", {
+          item_id: state.current.item.id,
+          output_index: state.current.outputIndex,
+          content_index: 0,
+          delta: text,
         });
       }
+    }
+  }
 
-      const delta = {};
-      if (content) delta.content = content;
-      if (reasoningContent) delta.reasoning_content = reasoningContent;
+  _openResponseItem(state, item) {
+    this._closeResponseItem(state);
+    const outputIndex = state.response.output.push(item) - 1;
+    state.current = { item, outputIndex };
+    state.emit("response.output_item.added", { output_index: outputIndex, item: JSON.parse(JSON.stringify(item)) });
+  }
 
-      if (Object.keys(delta).length === 0 && !candidate.finishReason) return null;
+  _closeResponseItem(state) {
+    if (!state.current) return;
+    const { item, outputIndex } = state.current;
+    if (item.type === "reasoning") {
+      const part = item.summary[0];
+      state.emit("response.reasoning_summary_text.done", { item_id: item.id, output_index: outputIndex, summary_index: 0, text: part.text });
+      state.emit("response.reasoning_summary_part.done", { item_id: item.id, output_index: outputIndex, summary_index: 0, part });
+    } else if (item.type === "message") {
+      const part = item.content[0];
+      item.status = "completed";
+      state.emit("response.output_text.done", { item_id: item.id, output_index: outputIndex, content_index: 0, text: part.text });
+      state.emit("response.content_part.done", { item_id: item.id, output_index: outputIndex, content_index: 0, part });
+    }
+    state.emit("response.output_item.done", { output_index: outputIndex, item });
+    state.current = null;
+  }
 
-      return `data: ${JSON.stringify({
-        id: `chatcmpl-${this._generateRequestId()}`,
-        object: "chat.completion.chunk",
-        created: Math.floor(Date.now() / 1000),
-        model: modelName,
-        choices: [{ index: 0, delta: delta, finish_reason: candidate.finishReason || null }],
-      })}\n\n`;
-    } catch (e) {
-      return null;
+  _finalizeResponse(state) {
+    this._closeResponseItem(state);
+    const response = state.response;
+    const usage = state.usageMetadata || {};
+    const reasoningTokens = usage.thoughtsTokenCount || 0;
+    const outputTokens = (usage.candidatesTokenCount || 0) + reasoningTokens;
+    response.usage = {
+      input_tokens: usage.promptTokenCount || 0,
+      input_tokens_details: { cached_tokens: usage.cachedContentTokenCount || 0 },
+      output_tokens: outputTokens,
+      output_tokens_details: { reasoning_tokens: reasoningTokens },
+      total_tokens: usage.totalTokenCount || (usage.promptTokenCount || 0) + outputTokens,
+    };
+    if (state.finishReason === "MAX_TOKENS") {
+      response.status = "incomplete";
+      response.incomplete_details = { reason: "max_output_tokens" };
+    } else if (state.finishReason && !["STOP", "FINISH_REASON_UNSPECIFIED"].includes(state.finishReason)) {
+      response.status = "incomplete";
+      response.incomplete_details = { reason: "content_filter" };
+    } else {
+      response.status = "completed";
     }
+    response.output_text = response.output
+      .filter((item) => item.type === "message")
+      .map((item) => item.content.map((part) => part.text).join(""))
+      .join("");
+  }
+
+  _responseOutputToChatMessage(output) {
+    const message = { role: "assistant", content: null };
+    const text = output
+      .filter((item) => item.type === "message")
+      .map((item) => item.content.map((part) => part.text).join(""))
+      .join("");
+    if (text) message.content = text;
+    const toolCalls = output
+      .filter((item) => item.type === "function_call")
+      .map((item) => ({ id: item.call_id, type: "function", function: { name: item.name, arguments: item.arguments } }));
+    if (toolCalls.length > 0) message.tool_calls = toolCalls;
+    return message;
   }
 }
 
+// 所有可配置项：key 为配置文件中的字段名（也可使用 env 名），runtime 表示可由管理接口修改并持久化
+const CONFIG_SCHEMA = [
+  { key: "httpPort", env: "PORT", type: "int", min: 1, default: 7860 },
+  { key: "host", env: "HOST", type: "string", default: "0.0.0.0" },
+  { key: "initialAuthIndex", env: "INITIAL_AUTH_INDEX", type: "int", min: 1, default: 1 },
+  { key: "streamingMode", env: "STREAMING_MODE", type: "string", values: ["real", "fake"], default: "real", runtime: true },
+  { key: "enableReasoning", env: "ENABLE_REASONING", type: "bool", default: false, runtime: true },
+  { key: "enableNativeReasoning", env: "ENABLE_NATIVE_REASONING", type: "bool", default: false, runtime: true },
+  { key: "enableResume", env: "ENABLE_RESUME", type: "bool", default: false, runtime: true },
+  { key: "resumeLimit", env: "RESUME_LIMIT", type: "int", min: 0, default: 3, runtime: true },
+  { key: "redirect25to30", env: "REDIRECT_25_TO_30", type: "bool", default: false, runtime: true },
+  { key: "failureThreshold", env: "FAILURE_THRESHOLD", type: "int", min: 1, default: 3 },
+  { key: "switchOnUses", env: "SWITCH_ON_USES", type: "int", min: 1, default: 40 },
+  { key: "maxRetries", env: "MAX_RETRIES", type: "int", min: 1, default: 1 },
+  { key: "retryDelay", env: "RETRY_DELAY", type: "int", min: 1, default: 2000 },
+  { key: "immediateSwitchStatusCodes", env: "IMMEDIATE_SWITCH_STATUS_CODES", type: "intList", default: [429, 503] },
+  { key: "browserPoolSize", env: "BROWSER_POOL_SIZE", type: "int", min: 1, default: 1 },
+  { key: "authCooldown", env: "AUTH_COOLDOWN", type: "int", min: 1, default: 600000 },
+  { key: "authBlockedCooldown", env: "AUTH_BLOCKED_COOLDOWN", type: "int", min: 1, default: 1800000 },
+  { key: "storageStateSaveInterval", env: "STORAGE_STATE_SAVE_INTERVAL", type: "int", min: 0, default: 1800000 },
+  { key: "queueMaxWait", env: "QUEUE_MAX_WAIT", type: "int", min: 0, default: 30000 },
+  { key: "queueMaxLength", env: "QUEUE_MAX_LENGTH", type: "int", min: 0, default: 100 },
+  { key: "browserExecutablePath", env: "CAMOUFOX_EXECUTABLE_PATH", type: "string", default: null },
+  {
+    key: "browserLaunchArgs",
+    env: "BROWSER_LAUNCH_ARGS",
+    type: "list",
+    default: [
+      "--disable-dev-shm-usage",
+      "--disable-gpu",
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-infobars",
+      "--disable-background-networking",
+      "--disable-default-apps",
+      "--disable-extensions",
+      "--disable-sync",
+      "--disable-translate",
+      "--metrics-recording-only",
+      "--mute-audio",
+      "--safebrowsing-disable-auto-update",
+    ],
+  },
+  { key: "pageLoadTimeout", env: "PAGE_LOAD_TIMEOUT", type: "int", min: 1, default: 180000 },
+  { key: "browserIdleTimeout", env: "BROWSER_IDLE_TIMEOUT", type: "int", min: 1, default: 600000 },
+  { key: "reconnectGracePeriod", env: "RECONNECT_GRACE_PERIOD", type: "int", min: 0, default: 5000 },
+  { key: "connectionWaitTimeout", env: "CONNECTION_WAIT_TIMEOUT", type: "int", min: 1, default: 15000 },
+  { key: "requestTimeout", env: "REQUEST_TIMEOUT", type: "int", min: 1, default: 600000 },
+  { key: "streamChunkTimeout", env: "STREAM_CHUNK_TIMEOUT", type: "int", min: 1, default: 300000 },
+  { key: "fakeStreamChunkSize", env: "FAKE_STREAM_CHUNK_SIZE", type: "int", min: 1, default: 20 },
+  { key: "fakeStreamChunkDelay", env: "FAKE_STREAM_CHUNK_DELAY", type: "int", min: 0, default: 20 },
+  { key: "imageOutputFormat", env: "IMAGE_OUTPUT_FORMAT", type: "string", values: ["markdown", "url", "parts"], default: "markdown" },
+  { key: "imageUrlTtl", env: "IMAGE_URL_TTL", type: "int", min: 1, default: 600000 },
+  { key: "imageStreamChunkSize", env: "IMAGE_STREAM_CHUNK_SIZE", type: "int", min: 2, default: 65536 },
+  { key: "publicUrl", env: "PUBLIC_URL", type: "string", default: null },
+  { key: "remoteImageAllowlist", env: "REMOTE_IMAGE_ALLOWLIST", type: "list", default: [] },
+  { key: "remoteImageMaxSize", env: "REMOTE_IMAGE_MAX_SIZE", type: "int", min: 1, default: 20 * 1024 * 1024 },
+  { key: "remoteImageTimeout", env: "REMOTE_IMAGE_TIMEOUT", type: "int", min: 1, default: 30000 },
+  { key: "uploadChunkSize", env: "UPLOAD_CHUNK_SIZE", type: "int", min: 1, default: 8 * 1024 * 1024 },
+  { key: "apiKeys", env: "API_KEYS", type: "list", default: [] },
+  { key: "apiKeysFile", env: "API_KEYS_FILE", type: "string", default: path.join(__dirname, "data", "api-keys.json") },
+  { key: "usageLogFile", env: "USAGE_LOG_FILE", type: "string", default: path.join(__dirname, "data", "usage.jsonl") },
+  { key: "usageRetentionDays", env: "USAGE_RETENTION_DAYS", type: "int", min: 0, default: 90 },
+  { key: "modelAliasesFile", env: "MODEL_ALIASES_FILE", type: "string", default: path.join(__dirname, "data", "model-aliases.json") },
+  { key: "stateFile", env: "STATE_FILE", type: "string", default: path.join(__dirname, "data", "state.json") },
+  { key: "logLevel", env: "LOG_LEVEL", type: "string", values: ["debug", "info", "warn", "error"], default: "info" },
+  { key: "logFormat", env: "LOG_FORMAT", type: "string", values: ["text", "json"], default: "text" },
+  { key: "logFile", env: "LOG_FILE", type: "string", default: null },
+  { key: "logFileMaxSize", env: "LOG_FILE_MAX_SIZE", type: "int", min: 1, default: 10 * 1024 * 1024 },
+  { key: "logFileMaxFiles", env: "LOG_FILE_MAX_FILES", type: "int", min: 1, default: 5 },
+  { key: "logBufferSize", env: "LOG_BUFFER_SIZE", type: "int", min: 1, default: 2000 },
+];
+
 class ProxyServerSystem extends EventEmitter {
   constructor() {
     super();
     this.logger = new LoggingService("ProxySystem");
     this._loadConfiguration();
     this.streamingMode = this.config.streamingMode;
-    this.enableReasoning = false;
-    this.enableNativeReasoning = false;
-    this.enableResume = false;
-    this.resumeLimit = 3;
-    this.redirect25to30 = false;
-
+    this.enableReasoning = this.config.enableReasoning;
+    this.enableNativeReasoning = this.config.enableNativeReasoning;
+    this.enableResume = this.config.enableResume;
+    this.resumeLimit = this.config.resumeLimit;
+    this.redirect25to30 = this.config.redirect25to30;
+
+    this.metrics = new MetricsRegistry();
+    this.apiKeyManager = new ApiKeyManager(this.logger, this.config);
+    this.modelAliasManager = new ModelAliasManager(this.logger, this.config);
+    this.usageStore = new UsageStore(this.logger, this.config.usageLogFile, this.config.usageRetentionDays);
     this.authSource = new AuthSource(this.logger);
-    this.browserManager = new BrowserManager(this.logger, this.config, this.authSource);
-    this.connectionRegistry = new ConnectionRegistry(this.logger);
-    this.requestHandler = new RequestHandler(this, this.connectionRegistry, this.logger, this.browserManager, this.config, this.authSource);
+    this.browserManager = new BrowserManager(this.logger, this.config, this.authSource, this.metrics);
+    this.connectionRegistry = new ConnectionRegistry(this.logger, this.metrics, this.config);
+    this.requestHandler = new RequestHandler(this, this.connectionRegistry, this.logger, this.browserManager, this.config, this.authSource, this.metrics);
 
     this.httpServer = null;
     this.wsServer = null;
+
+    // 池中某个账号的连接彻底丢失时在后台修复，其余账号继续服务
+    this.connectionRegistry.on("connectionLost", () => {
+      this.requestHandler._restorePool().catch((error) =>
+        this.logger.error(`[System] 账号池修复失败: ${error.message}`)
+      );
+    });
+    // 新连接就绪时放行排队中的请求
+    this.connectionRegistry.on("connectionAdded", () => this.requestHandler._drainWaitQueue());
+
+    // 认证文件变更（目录监听或管理接口）后同步到账号池
+    this.authSource.on("authChanged", (changes) => {
+      this.requestHandler._applyAuthChange(changes).catch((error) =>
+        this.logger.error(`[System] 认证源变更处理失败: ${error.message}`)
+      );
+    });
+    this.poolCheckTimer = null;
+    this.storageStateTimer = null;
   }
 
   _loadConfiguration() {
-    let config = {
-      httpPort: 7860,
-      host: "0.0.0.0",
-      wsPort: 9998,
-      streamingMode: "real",
-      failureThreshold: 3,
-      switchOnUses: 40,
-      maxRetries: 1,
-      retryDelay: 2000,
-      browserExecutablePath: null,
-      apiKeys: [],
-      immediateSwitchStatusCodes: [429, 503],
-      apiKeySource: "未设置",
-    };
-
-    if (process.env.PORT) config.httpPort = parseInt(process.env.PORT, 10) || config.httpPort;
-    if (process.env.HOST) config.host = process.env.HOST;
-    if (process.env.STREAMING_MODE) config.streamingMode = process.env.STREAMING_MODE;
-    if (process.env.FAILURE_THRESHOLD) config.failureThreshold = parseInt(process.env.FAILURE_THRESHOLD, 10) || config.failureThreshold;
-    if (process.env.SWITCH_ON_USES) config.switchOnUses = parseInt(process.env.SWITCH_ON_USES, 10) || config.switchOnUses;
-    if (process.env.MAX_RETRIES) config.maxRetries = parseInt(process.env.MAX_RETRIES, 10) || config.maxRetries;
-    if (process.env.RETRY_DELAY) config.retryDelay = parseInt(process.env.RETRY_DELAY, 10) || config.retryDelay;
-    if (process.env.CAMOUFOX_EXECUTABLE_PATH) config.browserExecutablePath = process.env.CAMOUFOX_EXECUTABLE_PATH;
-    if (process.env.API_KEYS) config.apiKeys = process.env.API_KEYS.split(",");
+    const config = { wsPort: 9998, apiKeySource: "未设置" };
+    // key -> default / file / env / runtime，供 /api/config 展示
+    this.configSources = {};
+    CONFIG_SCHEMA.forEach((entry) => {
+      config[entry.key] = Array.isArray(entry.default) ? [...entry.default] : entry.default;
+      this.configSources[entry.key] = "default";
+    });
 
-    let rawCodes = process.env.IMMEDIATE_SWITCH_STATUS_CODES;
-    if (!rawCodes && config.immediateSwitchStatusCodes) rawCodes = config.immediateSwitchStatusCodes.join(",");
-    if (rawCodes) {
-      config.immediateSwitchStatusCodes = rawCodes.split(",").map(code => parseInt(String(code).trim(), 10)).filter(code => !isNaN(code));
+    // 优先级：默认值 < 配置文件 < 环境变量 < 管理接口修改并持久化的运行时设置
+    this.configFile = this._resolveConfigFile();
+    if (this.configFile) {
+      const fileValues = this._readConfigFile(this.configFile);
+      Object.entries(fileValues).forEach(([name, raw]) => {
+        const entry = CONFIG_SCHEMA.find((item) => item.key === name || item.env === name);
+        if (!entry) {
+          this.logger.warn(`[Config] 配置文件中的未知配置项已忽略: ${name}`);
+          return;
+        }
+        const value = this._parseConfigValue(entry, raw);
+        if (value === undefined) {
+          this.logger.warn(`[Config] 配置文件中 ${name} 的值无效，已忽略: ${JSON.stringify(raw)}`);
+          return;
+        }
+        config[entry.key] = value;
+        this.configSources[entry.key] = "file";
+      });
+      this.logger.info(`[Config] 已加载配置文件 ${this.configFile}`);
     }
 
-    if (Array.isArray(config.apiKeys)) config.apiKeys = config.apiKeys.map(k => String(k).trim()).filter(k => k);
+    CONFIG_SCHEMA.forEach((entry) => {
+      if (!process.env[entry.env]) return;
+      const value = this._parseConfigValue(entry, process.env[entry.env]);
+      if (value === undefined) return;
+      config[entry.key] = value;
+      this.configSources[entry.key] = "env";
+    });
+
+    this.runtimeState = this._readRuntimeState(config.stateFile);
+    const restored = [];
+    Object.entries(this.runtimeState).forEach(([key, raw]) => {
+      const entry = CONFIG_SCHEMA.find((item) => item.key === key && item.runtime);
+      const value = entry ? this._parseConfigValue(entry, raw) : undefined;
+      if (value === undefined) {
+        delete this.runtimeState[key];
+        return;
+      }
+      config[key] = value;
+      this.configSources[key] = "runtime";
+      restored.push(`${key}=${value}`);
+    });
+    if (restored.length > 0) this.logger.info(`[Config] 已恢复运行时设置: ${restored.join(", ")}`);
+
     if (config.apiKeys.length > 0) {
       config.apiKeySource = "自定义";
     } else {
@@ -1404,9 +4935,110 @@ class ProxyServerSystem extends EventEmitter {
     }
 
     this.config = config;
-    this.logger.info(`[System] 配置: Port=${config.httpPort}, Stream=${config.streamingMode}, UsesLimit=${config.switchOnUses}, FailLimit=${config.failureThreshold}`);
+    this.logger.configure({
+      level: config.logLevel,
+      format: config.logFormat,
+      file: config.logFile,
+      fileMaxSize: config.logFileMaxSize,
+      fileMaxFiles: config.logFileMaxFiles,
+      bufferSize: config.logBufferSize,
+    });
+    this.logger.info(`[System] 配置: Port=${config.httpPort}, Stream=${config.streamingMode}, UsesLimit=${config.switchOnUses}, FailLimit=${config.failureThreshold}, Pool=${config.browserPoolSize}`);
+  }
+
+  // 未指定 CONFIG_FILE 时依次查找 data/config.json、data/config.yaml、data/config.yml
+  _resolveConfigFile() {
+    if (process.env.CONFIG_FILE) {
+      if (fs.existsSync(process.env.CONFIG_FILE)) return process.env.CONFIG_FILE;
+      this.logger.warn(`[Config] 配置文件 ${process.env.CONFIG_FILE} 不存在，将只使用环境变量。`);
+      return null;
+    }
+    const candidates = ["config.json", "config.yaml", "config.yml"].map((name) => path.join(__dirname, "data", name));
+    return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+  }
+
+  _readConfigFile(filePath) {
+    const content = fs.readFileSync(filePath, "utf-8");
+    let values;
+    try {
+      values = /\.ya?ml$/i.test(filePath) ? yaml.load(content) : JSON.parse(content);
+    } catch (error) {
+      throw new Error(`配置文件 ${filePath} 解析失败: ${error.message}`);
+    }
+    if (values === null || values === undefined) return {};
+    if (typeof values !== "object" || Array.isArray(values)) {
+      throw new Error(`配置文件 ${filePath} 的顶层必须是对象`);
+    }
+    return values;
+  }
+
+  // 返回 undefined 表示值无效，调用方保留上一层的值
+  _parseConfigValue(entry, raw) {
+    if (raw === undefined) return undefined;
+    switch (entry.type) {
+      case "int": {
+        const value = typeof raw === "number" ? Math.trunc(raw) : parseInt(String(raw).trim(), 10);
+        return isNaN(value) || value < entry.min ? undefined : value;
+      }
+      case "bool":
+        if (typeof raw === "boolean") return raw;
+        if (/^(true|1|yes|on)$/i.test(String(raw).trim())) return true;
+        if (/^(false|0|no|off)$/i.test(String(raw).trim())) return false;
+        return undefined;
+      case "list":
+      case "intList": {
+        const items = (Array.isArray(raw) ? raw : String(raw).split(",")).map((item) => String(item).trim()).filter((item) => item);
+        if (entry.type === "list") return items;
+        return items.map((item) => parseInt(item, 10)).filter((code) => !isNaN(code));
+      }
+      default: {
+        if (raw === null) return entry.values ? undefined : null;
+        if (!entry.values) return String(raw);
+        // 有取值范围的配置不区分大小写，拼写错误按无效值处理
+        const value = String(raw).trim().toLowerCase();
+        return entry.values.includes(value) ? value : undefined;
+      }
+    }
   }
 
+  _readRuntimeState(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) return {};
+    try {
+      const state = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+      return state && typeof state === "object" && !Array.isArray(state) ? state : {};
+    } catch (error) {
+      this.logger.error(`[Config] 读取运行时设置 ${filePath} 失败: ${error.message}`);
+      return {};
+    }
+  }
+
+  // 管理接口修改的开关立即生效，并写入状态文件以便重启后恢复
+  _setRuntimeSetting(key, value) {
+    this[key] = value;
+    this.config[key] = value;
+    this.configSources[key] = "runtime";
+    this.runtimeState[key] = value;
+    try {
+      fs.mkdirSync(path.dirname(this.config.stateFile), { recursive: true });
+      const tmpPath = `${this.config.stateFile}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.runtimeState, null, 2));
+      fs.renameSync(tmpPath, this.config.stateFile);
+    } catch (error) {
+      this.logger.error(`[Config] 保存运行时设置失败: ${error.message}`);
+    }
+  }
+
+  _getEffectiveConfig() {
+    const settings = {};
+    CONFIG_SCHEMA.forEach((entry) => {
+      let value = this.config[entry.key];
+      if (entry.key === "apiKeys") value = value.map((key) => `${key.slice(0, 4)}...${key.slice(-4)}`);
+      settings[entry.key] = { value, source: this.configSources[entry.key], env: entry.env };
+    });
+    return { configFile: this.configFile, stateFile: this.config.stateFile, settings };
+  }
+
+
   async start(initialAuthIndex = null) {
     const allAvailableIndices = this.authSource.availableIndices;
     if (allAvailableIndices.length === 0) throw new Error("无可用认证源。");
@@ -1416,36 +5048,75 @@ class ProxyServerSystem extends EventEmitter {
       startupOrder = [initialAuthIndex, ...allAvailableIndices.filter((i) => i !== initialAuthIndex)];
     }
 
-    let isStarted = false;
+    // WebSocket 服务尚未启动，这里只拉起上下文，客户端会自动重连
+    const poolSize = Math.min(this.config.browserPoolSize, allAvailableIndices.length);
     for (const index of startupOrder) {
+      if (this.browserManager.activeIndices.length >= poolSize) break;
       try {
         await this.browserManager.launchOrSwitchContext(index);
-        isStarted = true;
-        break;
       } catch (error) {
         this.logger.error(`[System] 账号 #${index} 启动失败: ${error.message}`);
       }
     }
 
-    if (!isStarted) throw new Error("所有账号启动失败。");
+    if (this.browserManager.activeIndices.length === 0) throw new Error("所有账号启动失败。");
+    this.logger.info(`[System] 账号池就绪: [${this.browserManager.activeIndices.join(", ")}]`);
 
+    try {
+      await this.apiKeyManager.restoreTokenUsage(this.usageStore);
+    } catch (error) {
+      this.logger.error(`[ApiKey] 恢复当日 token 用量失败: ${error.message}`);
+    }
     await this._startHttpServer();
     await this._startWebSocketServer();
+    this.authSource.startWatching();
+
+    // 冷却结束的账号需要重新补进池中
+    this.poolCheckTimer = setInterval(() => {
+      const targetSize = Math.min(this.config.browserPoolSize, this.authSource.availableIndices.length);
+      if (this.browserManager.activeIndices.length < targetSize) {
+        this.requestHandler._restorePool().catch((error) =>
+          this.logger.error(`[System] 账号池修复失败: ${error.message}`)
+        );
+      }
+    }, 60000);
+    this.poolCheckTimer.unref();
+
+    // 定期写回会话状态，设为 0 时仅在切换和退出时保存
+    if (this.config.storageStateSaveInterval > 0) {
+      this.storageStateTimer = setInterval(() => {
+        this.browserManager.saveAllStorageStates().catch((error) =>
+          this.logger.error(`[System] 保存会话状态失败: ${error.message}`)
+        );
+      }, this.config.storageStateSaveInterval);
+      this.storageStateTimer.unref();
+    }
+
     this.emit("started");
   }
 
+  async stop() {
+    clearInterval(this.poolCheckTimer);
+    clearInterval(this.storageStateTimer);
+    this.authSource.stopWatching();
+    await this.browserManager.saveAllStorageStates();
+    await this.browserManager.closeBrowser();
+    await this.usageStore.close();
+    this.logger.info("[System] 服务已停止。");
+    await this.logger.close();
+  }
+
   _createAuthMiddleware() {
     return (req, res, next) => {
-      const serverApiKeys = this.config.apiKeys;
-      if (!serverApiKeys || serverApiKeys.length === 0) return next();
-
       let clientKey = req.headers["x-goog-api-key"] || 
                      (req.headers.authorization && req.headers.authorization.substring(7)) || 
                      req.headers["x-api-key"] || 
                      req.query.key;
 
-      if (clientKey && serverApiKeys.includes(clientKey)) {
+      const apiKey = this.apiKeyManager.authenticate(clientKey);
+      if (apiKey) {
         if (req.query.key) delete req.query.key;
+        req.apiKey = apiKey;
         return next();
       }
 
@@ -1470,12 +5141,292 @@ class ProxyServerSystem extends EventEmitter {
     });
   }
 
+  _renderLoginPage(hasError) {
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>登录 - Proxy Console</title>
+<style>
+  body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; background: #0f172a; font-family: -apple-system, "Segoe UI", "PingFang SC", sans-serif; color: #e2e8f0; }
+  form { background: #1e293b; padding: 32px; border-radius: 12px; width: 300px; box-shadow: 0 10px 30px rgba(0,0,0,.4); }
+  h1 { margin: 0 0 20px; font-size: 20px; }
+  input { width: 100%; box-sizing: border-box; padding: 10px 12px; margin-bottom: 14px; border: 1px solid #334155; border-radius: 8px; background: #0f172a; color: inherit; font-size: 14px; }
+  button { width: 100%; padding: 10px; border: 0; border-radius: 8px; background: #3b82f6; color: #fff; font-size: 14px; cursor: pointer; }
+  button:hover { background: #2563eb; }
+  .error { color: #f87171; font-size: 13px; margin-bottom: 12px; }
+</style>
+</head>
+<body>
+<form action="/login" method="post">
+  <h1>Proxy Console</h1>
+  ${hasError ? '<div class="error">API Key 错误，请重试。</div>' : ""}
+  <input type="password" name="apiKey" placeholder="API Key" autofocus required>
+  <button type="submit">登录</button>
+</form>
+</body>
+</html>`;
+  }
+
+  // 控制台页面：纯内联 HTML/JS，不依赖外部 CDN；状态轮询 /api/status，日志订阅 /api/logs/stream
+  _renderConsolePage() {
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Proxy Console</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; background: #0f172a; color: #e2e8f0; font-family: -apple-system, "Segoe UI", "PingFang SC", sans-serif; font-size: 14px; }
+  header { padding: 14px 24px; background: #1e293b; display: flex; align-items: center; gap: 16px; }
+  header h1 { margin: 0; font-size: 18px; flex: 1; }
+  main { padding: 20px 24px; display: grid; grid-template-columns: 1fr 1fr; gap: 20px; }
+  section { background: #1e293b; border-radius: 10px; padding: 16px; }
+  section.wide { grid-column: 1 / -1; }
+  h2 { margin: 0 0 12px; font-size: 15px; color: #94a3b8; font-weight: 600; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #334155; }
+  th { color: #94a3b8; font-weight: 500; }
+  .badge { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 12px; }
+  .ok { background: #14532d; color: #86efac; }
+  .warn { background: #713f12; color: #fde68a; }
+  .bad { background: #7f1d1d; color: #fca5a5; }
+  .muted { color: #64748b; }
+  .row { display: flex; align-items: center; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #334155; gap: 12px; }
+  .row:last-child { border-bottom: 0; }
+  button, select, input { background: #0f172a; color: inherit; border: 1px solid #334155; border-radius: 6px; padding: 5px 10px; font-size: 13px; }
+  button { cursor: pointer; }
+  button:hover { border-color: #3b82f6; }
+  button.on { background: #1d4ed8; border-color: #1d4ed8; }
+  #message { font-size: 13px; }
+  #logs { height: 420px; overflow-y: auto; background: #020617; border-radius: 8px; padding: 10px; font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 12px; white-space: pre-wrap; word-break: break-all; }
+  .log-debug { color: #64748b; } .log-warn { color: #facc15; } .log-error { color: #f87171; }
+  .log-toolbar { display: flex; gap: 8px; margin-bottom: 10px; align-items: center; }
+  @media (max-width: 900px) { main { grid-template-columns: 1fr; } }
+</style>
+</head>
+<body>
+<header>
+  <h1>Proxy Console</h1>
+  <span id="message" class="muted"></span>
+  <span id="browser" class="badge"></span>
+</header>
+<main>
+  <section>
+    <h2>运行状态</h2>
+    <div class="row"><span>当前账号 / 池大小</span><span id="current"></span></div>
+    <div class="row"><span>使用次数</span><span id="usage"></span></div>
+    <div class="row"><span>失败次数</span><span id="failure"></span></div>
+    <div class="row"><span>排队请求</span><span id="queue"></span></div>
+    <div class="row">
+      <span>切换账号</span>
+      <span>
+        <select id="fromIndex" title="要替换的池内账号"></select>
+        →
+        <select id="targetIndex"><option value="">下一个可用账号</option></select>
+        <button id="switchBtn">切换</button>
+      </span>
+    </div>
+  </section>
+  <section>
+    <h2>功能开关</h2>
+    <div class="row"><span>流式模式</span><span><button data-mode="real">real</button> <button data-mode="fake">fake</button></span></div>
+    <div class="row"><span>OpenAI 思考过程输出</span><button data-toggle="/api/toggle-reasoning" data-key="enableReasoning"></button></div>
+    <div class="row"><span>原生接口思考过程输出</span><button data-toggle="/api/toggle-native-reasoning" data-key="enableNativeReasoning"></button></div>
+    <div class="row"><span>gemini-2.5-pro 重定向到 3.0</span><button data-toggle="/api/toggle-redirect-25-30" data-key="redirect25to30"></button></div>
+    <div class="row">
+      <span>截断自动续写（次数，0 为关闭）</span>
+      <span><input id="resumeLimit" type="number" min="0" max="10" style="width: 70px"> <button id="resumeBtn">保存</button></span>
+    </div>
+  </section>
+  <section class="wide">
+    <h2>账号列表</h2>
+    <table>
+      <thead><tr><th>#</th><th>名称</th><th>健康状态</th><th>池内状态</th><th>进行中</th><th>使用</th><th>失败</th></tr></thead>
+      <tbody id="accounts"></tbody>
+    </table>
+  </section>
+  <section class="wide">
+    <h2>实时日志</h2>
+    <div class="log-toolbar">
+      <select id="logLevel">
+        <option value="debug">debug</option>
+        <option value="info" selected>info</option>
+        <option value="warn">warn</option>
+        <option value="error">error</option>
+      </select>
+      <label><input id="autoScroll" type="checkbox" checked> 自动滚动</label>
+      <button id="clearLogs">清空</button>
+      <span id="logState" class="muted"></span>
+    </div>
+    <div id="logs"></div>
+  </section>
+</main>
+<script>
+(function () {
+  var $ = function (id) { return document.getElementById(id); };
+  var lastStatus = null;
+
+  function showMessage(text, isError) {
+    $("message").textContent = text;
+    $("message").style.color = isError ? "#f87171" : "#86efac";
+  }
+
+  function api(path, body) {
+    return fetch(path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body || {}),
+    }).then(function (res) {
+      if (res.redirected) { location.href = "/login"; return; }
+      return res.text().then(function (text) {
+        showMessage(text, !res.ok);
+        refresh();
+      });
+    }).catch(function (err) { showMessage(err.message, true); });
+  }
+
+  function healthBadge(health) {
+    if (!health || health.state === "healthy") return '<span class="badge ok">healthy</span>';
+    var until = health.until ? " 至 " + new Date(health.until).toLocaleTimeString() : "";
+    var cls = health.state === "cooldown" ? "warn" : "bad";
+    return '<span class="badge ' + cls + '" title="' + escapeHtml(health.reason || "") + '">' + health.state + until + "</span>";
+  }
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, function (c) {
+      return { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c];
+    });
+  }
+
+  function fillSelect(select, options, keepFirst) {
+    var previous = select.value;
+    while (select.options.length > (keepFirst ? 1 : 0)) select.remove(keepFirst ? 1 : 0);
+    options.forEach(function (opt) {
+      var el = document.createElement("option");
+      el.value = opt.value;
+      el.textContent = opt.label;
+      select.appendChild(el);
+    });
+    select.value = previous;
+    if (select.selectedIndex === -1) select.selectedIndex = 0;
+  }
+
+  function render(status) {
+    lastStatus = status;
+    var active = {};
+    status.activeAccounts.forEach(function (acc) { active[acc.index] = acc; });
+
+    $("browser").textContent = status.browserConnected ? "浏览器运行中" : "浏览器未启动";
+    $("browser").className = "badge " + (status.browserConnected ? "ok" : "bad");
+    $("current").textContent = "#" + status.currentAuthIndex + " / " + status.activeAccounts.length + " of " + status.browserPoolSize;
+    $("usage").textContent = status.usageCount;
+    $("failure").textContent = status.failureCount;
+    $("queue").textContent = status.queueLength;
+
+    $("accounts").innerHTML = status.accountDetails.map(function (acc) {
+      var pool = active[acc.index];
+      var poolText = "-";
+      if (pool) {
+        poolText = pool.isSwitching ? '<span class="badge warn">切换中</span>'
+          : pool.pendingSwitch ? '<span class="badge warn">待轮换</span>'
+          : pool.connected ? '<span class="badge ok">在线</span>' : '<span class="badge bad">断开</span>';
+      }
+      return "<tr><td>" + acc.index + "</td><td>" + escapeHtml(acc.name) + "</td><td>" + healthBadge(acc.health) +
+        "</td><td>" + poolText + "</td><td>" + (pool ? pool.activeRequests : "-") + "</td><td>" +
+        (pool ? pool.usageCount : "-") + "</td><td>" + (pool ? pool.failureCount : "-") + "</td></tr>";
+    }).join("");
+
+    fillSelect($("fromIndex"), status.activeAccounts.map(function (acc) {
+      return { value: acc.index, label: "#" + acc.index };
+    }), false);
+    fillSelect($("targetIndex"), status.accountDetails.filter(function (acc) { return !active[acc.index]; }).map(function (acc) {
+      return { value: acc.index, label: "#" + acc.index + " " + acc.name };
+    }), true);
+
+    document.querySelectorAll("[data-mode]").forEach(function (btn) {
+      btn.classList.toggle("on", btn.getAttribute("data-mode") === status.streamingMode);
+    });
+    document.querySelectorAll("[data-toggle]").forEach(function (btn) {
+      var on = !!status[btn.getAttribute("data-key")];
+      btn.textContent = on ? "已开启" : "已关闭";
+      btn.classList.toggle("on", on);
+    });
+    if (document.activeElement !== $("resumeLimit")) {
+      $("resumeLimit").value = status.enableResume ? status.resumeLimit : 0;
+    }
+  }
+
+  function refresh() {
+    fetch("/api/status").then(function (res) {
+      if (res.redirected) { location.href = "/login"; return; }
+      return res.json().then(function (data) { render(data.status); });
+    }).catch(function (err) { showMessage("状态获取失败: " + err.message, true); });
+  }
+
+  document.querySelectorAll("[data-mode]").forEach(function (btn) {
+    btn.onclick = function () { api("/api/set-mode", { mode: btn.getAttribute("data-mode") }); };
+  });
+  document.querySelectorAll("[data-toggle]").forEach(function (btn) {
+    btn.onclick = function () { api(btn.getAttribute("data-toggle")); };
+  });
+  $("resumeBtn").onclick = function () {
+    api("/api/set-resume-config", { limit: parseInt($("resumeLimit").value, 10) || 0 });
+  };
+  $("switchBtn").onclick = function () {
+    var body = {};
+    if ($("fromIndex").value) body.fromIndex = parseInt($("fromIndex").value, 10);
+    if ($("targetIndex").value) body.targetIndex = parseInt($("targetIndex").value, 10);
+    showMessage("正在切换账号...", false);
+    api("/api/switch-account", body);
+  };
+
+  // 实时日志
+  var source = null;
+  var maxLines = 1000;
+  function appendLog(entry) {
+    var line = document.createElement("div");
+    line.className = "log-" + entry.level;
+    line.textContent = entry.text;
+    var box = $("logs");
+    box.appendChild(line);
+    while (box.childNodes.length > maxLines) box.removeChild(box.firstChild);
+    if ($("autoScroll").checked) box.scrollTop = box.scrollHeight;
+  }
+  function connectLogs() {
+    if (source) source.close();
+    $("logs").innerHTML = "";
+    source = new EventSource("/api/logs/stream?tail=200&level=" + $("logLevel").value);
+    source.onopen = function () { $("logState").textContent = "已连接"; };
+    source.onerror = function () { $("logState").textContent = "连接中断，正在重连..."; };
+    source.onmessage = function (event) { appendLog(JSON.parse(event.data)); };
+  }
+  $("logLevel").onchange = connectLogs;
+  $("clearLogs").onclick = function () { $("logs").innerHTML = ""; };
+
+  refresh();
+  setInterval(refresh, 5000);
+  connectLogs();
+})();
+</script>
+</body>
+</html>`;
+  }
+
   _createExpressApp() {
     const app = express();
     app.use((req, res, next) => {
       res.header("Access-Control-Allow-Origin", "*");
-      res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-      res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, x-api-key, x-goog-api-key");
+      res.header("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
+      res.header(
+        "Access-Control-Allow-Headers",
+        "Content-Type, Authorization, x-api-key, x-goog-api-key, anthropic-version, " +
+          "x-goog-upload-protocol, x-goog-upload-command, x-goog-upload-offset, " +
+          "x-goog-upload-header-content-length, x-goog-upload-header-content-type, x-goog-upload-file-name"
+      );
+      res.header("Access-Control-Expose-Headers", "x-goog-upload-url, x-goog-upload-status, x-goog-upload-size-received, x-goog-upload-chunk-granularity");
       if (req.method === "OPTIONS") return res.sendStatus(204);
       next();
     });
@@ -1500,8 +5451,7 @@ class ProxyServerSystem extends EventEmitter {
 
     app.get("/login", (req, res) => {
        if (req.session.isAuthenticated) return res.redirect("/");
-       // (Keeping the HTML/CSS from original code, omitted here for brevity)
-       res.send(`<!DOCTYPE html><html><body><form action="/login" method="post"><input type="password" name="apiKey" placeholder="API Key"/><button>Login</button></form></body></html>`);
+       res.send(this._renderLoginPage(req.query.error === "1"));
     });
     
     app.post("/login", (req, res) => {
@@ -1515,16 +5465,15 @@ class ProxyServerSystem extends EventEmitter {
 
     // 状态页面 API
     app.get("/", isAuthenticated, (req, res) => {
-        // (Keeping the Status Page HTML from original code)
-        // 为节省篇幅，这里假设直接返回原有的 HTML 字符串
-        res.send(`<!DOCTYPE html><html><head><title>Console</title></head><body><h1>Proxy Console</h1><p>See original code for full UI.</p></body></html>`); 
+        res.send(this._renderConsolePage());
     });
 
     app.get("/api/status", isAuthenticated, (req, res) => {
       const logs = this.logger.logBuffer || [];
       const accountDetails = this.authSource.initialIndices.map((index) => ({ 
           index, 
-          name: this.authSource.accountNameMap.get(index) || "N/A" 
+          name: this.authSource.accountNameMap.get(index) || "N/A",
+          health: this.authSource.getHealth(index),
       }));
 
       res.json({
@@ -1539,19 +5488,137 @@ class ProxyServerSystem extends EventEmitter {
           currentAuthIndex: this.requestHandler.currentAuthIndex,
           usageCount: `${this.requestHandler.usageCount} / ${this.config.switchOnUses}`,
           failureCount: `${this.requestHandler.failureCount} / ${this.config.failureThreshold}`,
+          browserPoolSize: this.config.browserPoolSize,
+          queueLength: this.requestHandler.waitQueue.length,
+          activeAccounts: this.browserManager.activeIndices.map((index) => {
+            const state = this.requestHandler._getAccountState(index);
+            return {
+              index,
+              connected: this.connectionRegistry.hasActiveConnections(index),
+              activeRequests: state.activeRequestCount,
+              usageCount: state.usageCount,
+              failureCount: state.failureCount,
+              pendingSwitch: state.pendingSwitch,
+              isSwitching: state.isSwitching,
+            };
+          }),
           accountDetails: accountDetails
         },
         logs: logs.join("\n")
       });
     });
 
+    // 日志查询：GET /api/logs?level=warn&account=1&request_id=...&since=...&until=...&q=...&limit=200
+    app.get("/api/logs", isAuthenticated, (req, res) => {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 200, this.logger.maxEntries);
+      res.json({ logs: this.logger.queryLogs(req.query, limit) });
+    });
+
+    // 实时日志 (SSE)，支持与查询相同的过滤参数，tail=N 先补发最近 N 条
+    app.get("/api/logs/stream", isAuthenticated, (req, res) => {
+      const filters = { ...req.query };
+      delete filters.since;
+      delete filters.until;
+      res.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.flushHeaders();
+
+      const send = (entry) => res.write(`id: ${entry.id}\ndata: ${JSON.stringify(entry)}\n\n`);
+      const tail = parseInt(req.query.tail, 10) || 0;
+      if (tail > 0) this.logger.queryLogs(filters, tail).forEach(send);
+
+      const onLog = (entry) => {
+        if (this.logger.matchesFilter(entry, filters)) send(entry);
+      };
+      const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+      this.logger.on("log", onLog);
+      req.on("close", () => {
+        clearInterval(keepAlive);
+        this.logger.off("log", onLog);
+      });
+    });
+
+    // API Key 管理：创建时未指定 key 则自动生成，完整 Key 只在创建时返回一次
+    app.get("/api/keys", isAuthenticated, (req, res) => {
+      res.json({ keys: this.apiKeyManager.list() });
+    });
+
+    app.post("/api/keys", isAuthenticated, (req, res) => {
+      try {
+        const entry = this.apiKeyManager.createKey(req.body || {});
+        res.status(200).json({ name: entry.name, key: entry.key });
+      } catch (e) { res.status(400).send(e.message); }
+    });
+
+    app.put("/api/keys/:name", isAuthenticated, (req, res) => {
+      try {
+        const entry = this.apiKeyManager.updateKey(req.params.name, req.body || {});
+        if (!entry) return res.status(404).send(`Key "${req.params.name}" not found`);
+        res.status(200).send("OK");
+      } catch (e) { res.status(400).send(e.message); }
+    });
+
+    app.delete("/api/keys/:name", isAuthenticated, (req, res) => {
+      try {
+        if (!this.apiKeyManager.deleteKey(req.params.name)) return res.status(404).send(`Key "${req.params.name}" not found`);
+        res.status(200).send("OK");
+      } catch (e) { res.status(400).send(e.message); }
+    });
+
+    app.get("/api/models/aliases", isAuthenticated, (req, res) => {
+      res.json({ aliases: this.modelAliasManager.list() });
+    });
+
+    app.put("/api/models/aliases/:alias", isAuthenticated, (req, res) => {
+      try {
+        res.status(200).json(this.modelAliasManager.setAlias(req.params.alias, req.body || {}));
+      } catch (e) { res.status(400).send(e.message); }
+    });
+
+    app.delete("/api/models/aliases/:alias", isAuthenticated, (req, res) => {
+      if (!this.modelAliasManager.deleteAlias(req.params.alias)) return res.status(404).send(`Alias "${req.params.alias}" not found`);
+      res.status(200).send("OK");
+    });
+
+    // 用量统计：GET /api/usage?groupBy=day,key,account,model&since=...&until=...&key=...&account=...&model=...
+    app.get("/api/usage", isAuthenticated, async (req, res) => {
+      try {
+        const groupBy = String(req.query.groupBy || "day")
+          .split(",")
+          .map((field) => field.trim())
+          .filter((field) => this.usageStore.groupFields.includes(field));
+        const usage = await this.usageStore.aggregate(req.query, groupBy.length > 0 ? groupBy : ["day"]);
+
+        // 当日各账号的用量，结合轮换计数与健康状态判断是否接近上限
+        const today = new Date().toISOString().slice(0, 10);
+        const todayUsage = await this.usageStore.aggregate({ since: `${today}T00:00:00Z` }, ["account"]);
+        const accounts = this.authSource.initialIndices.map((index) => {
+          const stats = todayUsage.find((item) => item.account === index) || { requests: 0, totalTokens: 0 };
+          const state = this.requestHandler.accountStates.get(index);
+          return {
+            index,
+            name: this.authSource.accountNameMap.get(index) || "N/A",
+            requestsToday: stats.requests,
+            tokensToday: stats.totalTokens,
+            usageCount: `${state ? state.usageCount : 0} / ${this.config.switchOnUses}`,
+            health: this.authSource.getHealth(index).state,
+          };
+        });
+        res.json({ groupBy, usage, accounts });
+      } catch (e) { res.status(500).send(e.message); }
+    });
+
     // 功能控制 API
     app.post("/api/switch-account", isAuthenticated, async (req, res) => {
       try {
-        const { targetIndex } = req.body;
+        const { targetIndex, fromIndex } = req.body;
+        const sourceIndex = fromIndex !== undefined ? fromIndex : this.requestHandler.currentAuthIndex;
         const result = targetIndex !== undefined 
-            ? await this.requestHandler._switchToSpecificAuth(targetIndex)
-            : await this.requestHandler._switchToNextAuth();
+            ? await this.requestHandler._switchToSpecificAuth(targetIndex, sourceIndex)
+            : await this.requestHandler._switchToNextAuth(sourceIndex);
         
         if (result.success) res.status(200).send(`Success: #${result.newIndex}`);
         else if(result.fallback) res.status(200).send(`Fallback: #${result.newIndex}`);
@@ -1559,41 +5626,188 @@ class ProxyServerSystem extends EventEmitter {
       } catch (e) { res.status(500).send(e.message); }
     });
 
+    // 认证文件管理 API（仅文件模式），请求体为 storageState JSON
+    app.post("/api/auth", isAuthenticated, (req, res) => {
+      try {
+        const index = req.query.index !== undefined
+          ? parseInt(req.query.index, 10)
+          : Math.max(...this.authSource.initialIndices, 0) + 1;
+        if (this.authSource.initialIndices.includes(index)) {
+          return res.status(409).send(`auth-${index}.json already exists`);
+        }
+        const changes = this.authSource.saveAuth(index, req.body);
+        res.status(200).json({ index, ...changes });
+      } catch (e) { res.status(400).send(e.message); }
+    });
+
+    app.put("/api/auth/:index", isAuthenticated, (req, res) => {
+      try {
+        const index = parseInt(req.params.index, 10);
+        const changes = this.authSource.saveAuth(index, req.body);
+        res.status(200).json({ index, ...changes });
+      } catch (e) { res.status(400).send(e.message); }
+    });
+
+    // 导出账号当前的会话状态（在池中时先从浏览器刷新），环境变量模式下用于手动回填 AUTH_JSON_N
+    app.get("/api/auth/:index/export", isAuthenticated, async (req, res) => {
+      const index = parseInt(req.params.index, 10);
+      await this.browserManager.saveStorageState(index);
+      const authData = this.authSource.availableIndices.includes(index) ? this.authSource.getAuth(index) : null;
+      if (!authData) return res.status(404).send(`auth #${index} not found`);
+      res.setHeader("Content-Disposition", `attachment; filename="auth-${index}.json"`);
+      res.status(200).json(authData);
+    });
+
+    app.delete("/api/auth/:index", isAuthenticated, (req, res) => {
+      try {
+        const index = parseInt(req.params.index, 10);
+        const changes = this.authSource.deleteAuth(index);
+        if (!changes) return res.status(404).send(`auth-${index}.json not found`);
+        res.status(200).json({ index, ...changes });
+      } catch (e) { res.status(400).send(e.message); }
+    });
+
     app.post("/api/set-mode", isAuthenticated, (req, res) => {
-        this.streamingMode = req.body.mode;
+        const mode = this._parseConfigValue(CONFIG_SCHEMA.find((entry) => entry.key === "streamingMode"), req.body.mode);
+        if (mode === undefined) return res.status(400).send("Invalid mode");
+        this._setRuntimeSetting("streamingMode", mode);
         this.logger.info(`[System] Mode -> ${this.streamingMode}`);
         res.status(200).send("OK");
     });
 
     app.post("/api/toggle-reasoning", isAuthenticated, (req, res) => {
-        this.enableReasoning = !this.enableReasoning;
+        this._setRuntimeSetting("enableReasoning", !this.enableReasoning);
         this.logger.info(`[System] OAI Thinking -> ${this.enableReasoning}`);
         res.status(200).send("OK");
     });
     
     app.post("/api/toggle-native-reasoning", isAuthenticated, (req, res) => {
-        this.enableNativeReasoning = !this.enableNativeReasoning;
+        this._setRuntimeSetting("enableNativeReasoning", !this.enableNativeReasoning);
         this.logger.info(`[System] Native Thinking -> ${this.enableNativeReasoning}`);
         res.status(200).send("OK");
     });
     
     app.post("/api/set-resume-config", isAuthenticated, (req, res) => {
-        this.resumeLimit = parseInt(req.body.limit, 10);
-        this.enableResume = this.resumeLimit > 0;
+        const limit = parseInt(req.body.limit, 10);
+        if (isNaN(limit) || limit < 0) return res.status(400).send("Invalid limit");
+        this._setRuntimeSetting("resumeLimit", limit);
+        this._setRuntimeSetting("enableResume", limit > 0);
         this.logger.info(`[System] Resume -> ${this.enableResume} (${this.resumeLimit})`);
         res.status(200).send("OK");
     });
 
     app.post("/api/toggle-redirect-25-30", isAuthenticated, (req, res) => {
-        this.redirect25to30 = !this.redirect25to30;
+        this._setRuntimeSetting("redirect25to30", !this.redirect25to30);
         this.logger.info(`[System] 2.5->3.0 Redirect -> ${this.redirect25to30}`);
         res.status(200).send("OK");
     });
 
+    app.get("/api/config", isAuthenticated, (req, res) => {
+        res.status(200).json(this._getEffectiveConfig());
+    });
+
+    // IMAGE_OUTPUT_FORMAT=url 时返回的图片链接：随机 ID 即凭证，客户端可直接在 Markdown 中加载，过期后返回 404
+    app.get("/images/:id", (req, res) => {
+      const image = this.requestHandler.imageStore.get(req.params.id);
+      if (!image) return res.status(404).send("Not Found");
+      res.set({ "Content-Type": image.mimeType, "Cache-Control": `private, max-age=${Math.floor(this.config.imageUrlTtl / 1000)}` });
+      res.send(image.buffer);
+    });
+
     app.use(this._createAuthMiddleware());
-    app.get("/v1/models", (req, res) => this.requestHandler.processModelListRequest(req, res));
-    app.post("/v1/chat/completions", (req, res) => this.requestHandler.processOpenAIRequest(req, res));
-    app.all(/(.*)/, (req, res) => this.requestHandler.processRequest(req, res));
+    app.get("/metrics", (req, res) => {
+      res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+      res.send(this.metrics.render());
+    });
+
+    // 统计指标、检查 Key 的模型权限与限额，并为该请求之后的所有日志建立上下文
+    const track = (route) => (req, res, next) => {
+      this.requestHandler._trackRequestMetrics(route, req, res);
+      const model = this.requestHandler._getRequestModel(route, req);
+
+      const rejection = this.apiKeyManager.checkRequest(req.apiKey, model);
+      if (rejection) {
+        this.logger.warn(`[ApiKey] Key "${req.apiKey.name}" 请求被拒绝: ${rejection.message}`);
+        if (rejection.retryAfter) res.set("Retry-After", String(rejection.retryAfter));
+        return this.requestHandler._sendRouteError(route, res, rejection.status, rejection.message);
+      }
+
+      const context = model === "-" ? {} : { model };
+      const startTime = Date.now();
+      res.on("close", () => {
+        const usage = this.connectionRegistry.takeRequestUsage(context.request_id) || {};
+        const resumes = this.connectionRegistry.takeRequestResumes(context.request_id);
+        if (usage.totalTokenCount) this.apiKeyManager.recordTokens(req.apiKey, usage.totalTokenCount);
+        // 未分配到账号（排队超时、被拒绝）的请求不记入用量
+        if (context.request_id === undefined) return;
+        if (resumes > 0) {
+          this.logger.runWithContext(context, () => this.logger.info(`🔁 [Request] 本次请求共续写 ${resumes} 次`));
+        }
+        this.usageStore.record({
+          timestamp: new Date().toISOString(),
+          request_id: context.request_id,
+          key: req.apiKey.name,
+          account: context.account ?? null,
+          model: model === "-" ? null : model,
+          endpoint: route,
+          promptTokens: usage.promptTokenCount || 0,
+          completionTokens: usage.candidatesTokenCount || 0,
+          thoughtTokens: usage.thoughtsTokenCount || 0,
+          totalTokens: usage.totalTokenCount || 0,
+          resumes,
+          latencyMs: Date.now() - startTime,
+          status: res.statusCode,
+          outcome: res.writableFinished ? (res.statusCode >= 400 ? "error" : "success") : "aborted",
+        });
+      });
+      this.logger.runWithContext(context, next);
+    };
+    app.get("/v1/models", track("models"), (req, res) => this.requestHandler.processModelListRequest(req, res));
+    app.post("/v1/chat/completions", track("openai"), (req, res) => this.requestHandler.processOpenAIRequest(req, res));
+    app.post("/v1/messages", track("anthropic"), (req, res) => this.requestHandler.processAnthropicRequest(req, res));
+    app.post("/v1/responses", track("responses"), (req, res) => this.requestHandler.processResponsesRequest(req, res));
+    app.post("/v1/embeddings", track("embeddings"), (req, res) => this.requestHandler.processEmbeddingsRequest(req, res));
+    app.post("/v1/images/generations", track("images"), (req, res) => this.requestHandler.processImageRequest(req, res));
+    // 编辑接口同时接受 multipart 上传（OpenAI SDK 的默认方式）和 JSON
+    // 上传内容全部缓存在内存中，限制字段名、文件数与单个文件大小（Gemini 内联数据上限为 20MB）
+    const imageUpload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: 20 * 1024 * 1024, files: 17, fields: 32 },
+    }).fields([
+      { name: "image", maxCount: 16 },
+      { name: "image[]", maxCount: 16 },
+      { name: "mask", maxCount: 1 },
+    ]);
+    app.post(
+      "/v1/images/edits",
+      (req, res, next) => imageUpload(req, res, (error) =>
+        error ? this.requestHandler._sendErrorResponse(res, 400, `Invalid multipart upload: ${error.message}`) : next()
+      ),
+      track("images"),
+      (req, res) => this.requestHandler.processImageRequest(req, res, true)
+    );
+    // 原生接口还需要接收非 JSON 的请求体（Files API 上传的文件内容），JSON 请求已由 express.json 解析。
+    // 请求体会整块缓存并再以 base64 复制给浏览器：可恢复上传的中间分块不得超过 UPLOAD_CHUNK_SIZE，其余请求体上限 100MB
+    const rawBody = express.raw({ type: () => true, limit: "100mb" });
+    const rawUploadChunk = express.raw({ type: () => true, limit: this.config.uploadChunkSize });
+    app.all(
+      /(.*)/,
+      track("native"),
+      (req, res, next) => {
+        const command = String(req.get("x-goog-upload-command") || "").toLowerCase();
+        const isUploadChunk = /\bupload\b/.test(command) && !/\bfinalize\b/.test(command);
+        (isUploadChunk ? rawUploadChunk : rawBody)(req, res, (error) => {
+          if (!error) return next();
+          if (error.type === "entity.too.large") {
+            return this.requestHandler._sendErrorResponse(res, 413, isUploadChunk
+              ? `Upload chunk exceeds UPLOAD_CHUNK_SIZE (${this.config.uploadChunkSize} bytes), send smaller chunks.`
+              : "Request body exceeds 100MB, use a resumable upload for larger files.");
+          }
+          this.requestHandler._sendErrorResponse(res, error.status || 400, `Invalid request body: ${error.message}`);
+        });
+      },
+      (req, res) => this.requestHandler.processRequest(req, res)
+    );
 
     return app;
   }
@@ -1601,16 +5815,36 @@ class ProxyServerSystem extends EventEmitter {
   async _startWebSocketServer() {
     this.wsServer = new WebSocket.Server({ port: this.config.wsPort, host: this.config.host });
     this.wsServer.on("connection", (ws, req) => {
-      this.connectionRegistry.addConnection(ws, { address: req.socket.remoteAddress });
+      const authIndexParam = new URL(req.url, "ws://localhost").searchParams.get("auth_index");
+      const authIndex = authIndexParam === null ? null : parseInt(authIndexParam, 10);
+      this.connectionRegistry.addConnection(ws, {
+        address: req.socket.remoteAddress,
+        authIndex: Number.isNaN(authIndex) ? null : authIndex,
+      });
     });
   }
 }
 
 async function initializeServer() {
-  const initialAuthIndex = parseInt(process.env.INITIAL_AUTH_INDEX, 10) || 1;
   try {
     const serverSystem = new ProxyServerSystem();
-    await serverSystem.start(initialAuthIndex);
+    await serverSystem.start(serverSystem.config.initialAuthIndex);
+
+    // 容器停止时先写回会话状态再退出
+    let isStopping = false;
+    const shutdown = async (signal) => {
+      if (isStopping) return;
+      isStopping = true;
+      serverSystem.logger.info(`[System] 收到 ${signal}，正在保存会话并退出...`);
+      try {
+        await serverSystem.stop();
+      } catch (error) {
+        serverSystem.logger.error(`[System] 退出时出错: ${error.message}`);
+      }
+      process.exit(0);
+    };
+    process.on("SIGTERM", () => shutdown("SIGTERM"));
+    process.on("SIGINT", () => shutdown("SIGINT"));
   } catch (error) {
     console.error("❌ Startup Failed:", error.message);
     process.exit(1);